@@ -1,45 +1,263 @@
 import os
-from flask import Flask, request, jsonify
+import io
+import json
+import time
+import queue
+import threading
+import uuid
+import zipfile
+from flask import Flask, Response, request, jsonify, send_file
+from flask_cors import CORS
 from werkzeug.utils import secure_filename
-from your_converter_module import process_zip_file, transcribe_audio, extract_text_from_txt, extract_text_from_docx, extract_text_from_pdf
+from converter import AUDIO_EXTENSIONS, process_zip_entries, get_zip_output_name, transcribe_audio_file, extract_text_from_txt, extract_text_from_docx, extract_text_from_pdf
 
 app = Flask(__name__)
+CORS(app)
 app.config['UPLOAD_FOLDER'] = 'uploads'
-app.config['ALLOWED_EXTENSIONS'] = {'zip', 'm4a', 'mp3', 'wav', 'txt', 'docx', 'pdf'}
+app.config['ALLOWED_EXTENSIONS'] = {'zip', 'm4a', 'mp3', 'mp4', 'wav', 'webm', 'ogg', 'txt', 'docx', 'pdf'}
+app.config['JOB_RETENTION_SECONDS'] = 3600
 
 os.makedirs(app.config['UPLOAD_FOLDER'], exist_ok=True)
 
+# Jobs live in memory and are processed one at a time by a background worker
+jobs = {}
+jobs_lock = threading.Lock()
+job_queue = queue.Queue()
+FINISHED_STATUSES = ('done', 'failed', 'cancelled')
+
 def allowed_file(filename):
     return '.' in filename and filename.rsplit('.', 1)[1].lower() in app.config['ALLOWED_EXTENSIONS']
 
-@app.route('/api/upload', methods=['POST'])
-def upload_file():
+def get_uploaded_file():
     if 'file' not in request.files:
-        return jsonify({'error': 'No file part'}), 400
+        return None, (jsonify({'error': 'No file part'}), 400)
     file = request.files['file']
     if file.filename == '':
-        return jsonify({'error': 'No selected file'}), 400
-    if file and allowed_file(file.filename):
-        filename = secure_filename(file.filename)
-        file_path = os.path.join(app.config['UPLOAD_FOLDER'], filename)
-        file.save(file_path)
-        ext = filename.rsplit('.', 1)[1].lower()
-        output = None
-        if ext == 'zip':
-            process_zip_file(file_path, output_dir='uploads/output')
-            output = 'Processed ZIP. Check output folder.'
-        elif ext in ['m4a', 'mp3', 'wav']:
-            output = transcribe_audio(file_path, os.path.join('uploads/output', filename + '.txt'))
-        elif ext == 'txt':
-            output = extract_text_from_txt(file_path)
-        elif ext == 'docx':
-            output = extract_text_from_docx(file_path)
-        elif ext == 'pdf':
-            output = extract_text_from_pdf(file_path)
-        else:
-            output = 'Unsupported file type.'
-        return jsonify({'result': output})
-    return jsonify({'error': 'File type not allowed'}), 400
+        return None, (jsonify({'error': 'No selected file'}), 400)
+    if not allowed_file(file.filename):
+        return None, (jsonify({'error': 'File type not allowed'}), 400)
+    return file, None
+
+# Processing options sent as form fields next to the file
+def get_processing_options():
+    speakers = request.form.get('speakers', '').strip()
+    language = request.form.get('language', '').strip().lower()
+    prompt = request.form.get('prompt', '').strip()
+    return {
+        'diarize': request.form.get('diarize', 'true').lower() != 'false',
+        'num_speakers': int(speakers) if speakers.isdigit() and int(speakers) > 0 else None,
+        'language': None if language in ('', 'auto') else language,
+        'translate': request.form.get('task') == 'translate',
+        'initial_prompt': prompt[:1000] or None,
+        'denoise': request.form.get('denoise', 'true').lower() != 'false'
+    }
+
+def process_upload(file_path, filename, on_progress=None, options=None):
+    ext = filename.rsplit('.', 1)[1].lower()
+    output = None
+    segments = None
+    language = None
+    translation = None
+    entries = None
+    if ext == 'zip':
+        entries = process_zip_entries(file_path, on_progress, options)
+        failed = len([entry for entry in entries if entry['error'] and not entry['skipped']])
+        skipped = len([entry for entry in entries if entry['skipped']])
+        output = f'Processed {len(entries) - skipped} archive entries ({failed} failed, {skipped} skipped).'
+    elif ext in AUDIO_EXTENSIONS:
+        transcription = transcribe_audio_file(file_path, os.path.join('uploads/output', filename + '.txt'), on_progress, **(options or {}))
+        output = transcription['text']
+        segments = transcription['segments']
+        language = transcription['language']
+        translation = transcription['translation']
+    elif ext == 'txt':
+        output = extract_text_from_txt(file_path)
+    elif ext == 'docx':
+        output = extract_text_from_docx(file_path)
+    elif ext == 'pdf':
+        output = extract_text_from_pdf(file_path)
+    else:
+        output = 'Unsupported file type.'
+    response = {'result': output}
+    if segments is not None:
+        response['segments'] = segments
+    if language is not None:
+        response['language'] = language
+    if translation is not None:
+        response['translation'] = translation
+    if entries is not None:
+        response['entries'] = entries
+    return response
+
+# Append _2, _3... before ".txt" until the name is unused, and claim it
+def claim_unique_name(name, used_names):
+    base, counter = name[:-4], 2
+    while name in used_names:
+        name = f'{base}_{counter}.txt'
+        counter += 1
+    used_names.add(name)
+    return name
+
+# One text file per processed entry (named like the browser's ZIP export) plus a manifest
+def build_results_zip(entries):
+    buffer = io.BytesIO()
+    used_names = set()
+    with zipfile.ZipFile(buffer, 'w', zipfile.ZIP_DEFLATED) as archive:
+        for entry in entries:
+            if entry['skipped']:
+                continue
+            name = claim_unique_name(get_zip_output_name(entry['path']), used_names)
+            text = f"Error processing {entry['path']}: {entry['error']}" if entry['error'] else entry['text']
+            archive.writestr(name, text)
+            # Translations sit next to the original as name.<language>.txt
+            translation = entry.get('translation')
+            if translation and not entry['error']:
+                translation_name = claim_unique_name(f"{name[:-4]}.{translation['language']}.txt", used_names)
+                archive.writestr(translation_name, translation['text'])
+        manifest = [{key: entry.get(key) for key in ('path', 'type', 'language', 'error', 'skipped')} for entry in entries]
+        archive.writestr('manifest.json', json.dumps(manifest, indent=2))
+    buffer.seek(0)
+    return buffer
+
+def send_results_zip(entries, filename):
+    return send_file(build_results_zip(entries), mimetype='application/zip', as_attachment=True,
+                     download_name=f"{filename.rsplit('.', 1)[0]}_results.zip")
+
+@app.route('/api/upload', methods=['POST'])
+def upload_file():
+    file, error = get_uploaded_file()
+    if error:
+        return error
+    filename = secure_filename(file.filename)
+    file_path = os.path.join(app.config['UPLOAD_FOLDER'], filename)
+    file.save(file_path)
+    try:
+        response = process_upload(file_path, filename, options=get_processing_options())
+        if request.args.get('format') == 'zip' and 'entries' in response:
+            return send_results_zip(response['entries'], filename)
+        return jsonify(response)
+    except Exception as e:
+        return jsonify({'error': str(e)}), 422
+
+def get_job(job_id):
+    with jobs_lock:
+        job = jobs.get(job_id)
+        return dict(job) if job else None
+
+def update_job(job_id, **fields):
+    with jobs_lock:
+        jobs[job_id].update(fields, updated_at=time.time())
+
+def prune_jobs():
+    cutoff = time.time() - app.config['JOB_RETENTION_SECONDS']
+    with jobs_lock:
+        for job_id in [job_id for job_id, job in jobs.items() if job['status'] in FINISHED_STATUSES and job['updated_at'] < cutoff]:
+            del jobs[job_id]
+
+# Move a queued job to running; returns False if it was cancelled while waiting
+def start_job(job_id):
+    with jobs_lock:
+        job = jobs.get(job_id)
+        if job is None or job['status'] != 'queued':
+            return False
+        job.update(status='running', stage='starting', progress=0.0, updated_at=time.time())
+        return True
+
+def run_jobs():
+    while True:
+        job_id, file_path, filename, options = job_queue.get()
+        if not start_job(job_id):
+            if os.path.exists(file_path):
+                os.remove(file_path)
+            job_queue.task_done()
+            continue
+        try:
+            result = process_upload(file_path, filename, lambda fraction, stage: update_job(job_id, progress=round(fraction, 2), stage=stage), options)
+            update_job(job_id, status='done', stage='done', progress=1.0, result=result)
+        except Exception as e:
+            update_job(job_id, status='failed', error=str(e))
+        finally:
+            if os.path.exists(file_path):
+                os.remove(file_path)
+            job_queue.task_done()
+
+threading.Thread(target=run_jobs, daemon=True).start()
+
+@app.route('/api/jobs', methods=['POST'])
+def create_job():
+    file, error = get_uploaded_file()
+    if error:
+        return error
+    prune_jobs()
+    job_id = uuid.uuid4().hex
+    filename = secure_filename(file.filename)
+    # Prefix with the job id so concurrent uploads of the same name don't overwrite each other
+    file_path = os.path.join(app.config['UPLOAD_FOLDER'], f'{job_id}_{filename}')
+    file.save(file_path)
+    now = time.time()
+    job = {
+        'id': job_id,
+        'filename': filename,
+        'status': 'queued',
+        'stage': 'queued',
+        'progress': 0.0,
+        'result': None,
+        'error': None,
+        'created_at': now,
+        'updated_at': now
+    }
+    with jobs_lock:
+        jobs[job_id] = job
+    job_queue.put((job_id, file_path, filename, get_processing_options()))
+    return jsonify(job), 202, {'Location': f'/api/jobs/{job_id}'}
+
+@app.route('/api/jobs/<job_id>', methods=['GET'])
+def job_status(job_id):
+    job = get_job(job_id)
+    if job is None:
+        return jsonify({'error': 'Job not found'}), 404
+    return jsonify(job)
+
+# Only queued jobs can be cancelled; a running transcription cannot be interrupted
+@app.route('/api/jobs/<job_id>', methods=['DELETE'])
+def cancel_job(job_id):
+    with jobs_lock:
+        job = jobs.get(job_id)
+        if job is None:
+            return jsonify({'error': 'Job not found'}), 404
+        if job['status'] != 'queued':
+            return jsonify({'error': f"Job is already {job['status']}"}), 409
+        job.update(status='cancelled', stage='cancelled', updated_at=time.time())
+        return jsonify(dict(job))
+
+@app.route('/api/jobs/<job_id>/results.zip', methods=['GET'])
+def job_results_zip(job_id):
+    job = get_job(job_id)
+    if job is None:
+        return jsonify({'error': 'Job not found'}), 404
+    if job['status'] != 'done' or 'entries' not in job['result']:
+        return jsonify({'error': 'Job has no archive results'}), 409
+    return send_results_zip(job['result']['entries'], job['filename'])
+
+# Server-sent events: pushes the job whenever it changes until it is done or failed
+@app.route('/api/jobs/<job_id>/events', methods=['GET'])
+def job_events(job_id):
+    if get_job(job_id) is None:
+        return jsonify({'error': 'Job not found'}), 404
+    def stream():
+        last_payload = None
+        while True:
+            job = get_job(job_id)
+            if job is None:
+                break
+            payload = json.dumps(job)
+            if payload != last_payload:
+                yield f'data: {payload}\n\n'
+                last_payload = payload
+            if job['status'] in FINISHED_STATUSES:
+                break
+            time.sleep(0.5)
+    return Response(stream(), mimetype='text/event-stream', headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
 
 if __name__ == '__main__':
-    app.run(host='0.0.0.0', port=5000)
+    app.run(host='0.0.0.0', port=5000, threaded=True)
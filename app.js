@@ -3,6 +3,155 @@
  * Based on the Python transcription script functionality
  */
 
+// Default backend endpoint (e.g. 'https://your-app.onrender.com'); can be overridden in Settings
+const API_URL = '';
+
+// Web Worker script that runs ProcessingTasks from processing.js
+const PROCESSING_WORKER_URL = 'worker.js';
+
+// transformers.js build used for in-browser Whisper, and the Cache Storage bucket it keeps models in
+const TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
+const TRANSFORMERS_CACHE_NAME = 'transformers-cache';
+
+// How often backend jobs are polled when server-sent events are unavailable
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// pdf.js worker script, matching the library version loaded in index.html
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// WordprocessingML namespace used by every part of a DOCX package
+const DOCX_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// IndexedDB database holding the session history
+const SESSION_DB_NAME = 'audioTranscriptionHub';
+const SESSION_DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const RECORDING_STORE = 'recordings';
+
+// Preferred MediaRecorder formats for dictation recordings, best first
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+// Spoken dictation commands per recognition language (the part of the locale before "-").
+// Phrases are matched case-insensitively as whole words; the longest phrase wins.
+const VOICE_COMMANDS = {
+    en: {
+        period: ['period', 'full stop'], comma: ['comma'], questionMark: ['question mark'],
+        newLine: ['new line'], newParagraph: ['new paragraph'],
+        deleteLastSentence: ['delete last sentence', 'scratch that'], undo: ['undo that'], stopListening: ['stop listening']
+    },
+    es: {
+        period: ['punto'], comma: ['coma'], questionMark: ['signo de interrogación', 'signo de pregunta'],
+        newLine: ['nueva línea'], newParagraph: ['nuevo párrafo'],
+        deleteLastSentence: ['borrar última frase', 'borra la última frase'], undo: ['deshacer'], stopListening: ['dejar de escuchar', 'deja de escuchar']
+    },
+    fr: {
+        period: ['point'], comma: ['virgule'], questionMark: ["point d'interrogation"],
+        newLine: ['à la ligne', 'nouvelle ligne'], newParagraph: ['nouveau paragraphe'],
+        deleteLastSentence: ['supprimer la dernière phrase', 'efface la dernière phrase'], undo: ['annuler'], stopListening: ["arrête d'écouter"]
+    },
+    de: {
+        period: ['punkt'], comma: ['komma'], questionMark: ['fragezeichen'],
+        newLine: ['neue zeile'], newParagraph: ['neuer absatz'],
+        deleteLastSentence: ['letzten satz löschen', 'lösche den letzten satz'], undo: ['rückgängig'], stopListening: ['zuhören beenden', 'hör auf zuzuhören']
+    },
+    it: {
+        period: ['punto'], comma: ['virgola'], questionMark: ['punto interrogativo'],
+        newLine: ['a capo', 'nuova riga'], newParagraph: ['nuovo paragrafo'],
+        deleteLastSentence: ["cancella l'ultima frase"], undo: ['annulla'], stopListening: ['smetti di ascoltare']
+    },
+    pt: {
+        period: ['ponto final', 'ponto'], comma: ['vírgula'], questionMark: ['ponto de interrogação'],
+        newLine: ['nova linha'], newParagraph: ['novo parágrafo'],
+        deleteLastSentence: ['apagar última frase', 'apague a última frase'], undo: ['desfazer'], stopListening: ['parar de ouvir', 'pare de ouvir']
+    },
+    ja: {
+        period: ['まる', '句点'], comma: ['てん', '読点'], questionMark: ['はてな', '疑問符'],
+        newLine: ['改行'], newParagraph: ['新しい段落'],
+        deleteLastSentence: ['最後の文を削除'], undo: ['元に戻す'], stopListening: ['聞き取り終了']
+    },
+    ko: {
+        period: ['마침표'], comma: ['쉼표'], questionMark: ['물음표'],
+        newLine: ['줄 바꿈', '줄바꿈'], newParagraph: ['새 단락'],
+        deleteLastSentence: ['마지막 문장 삭제'], undo: ['실행 취소'], stopListening: ['듣기 중지']
+    },
+    zh: {
+        period: ['句号'], comma: ['逗号'], questionMark: ['问号'],
+        newLine: ['换行'], newParagraph: ['新段落'],
+        deleteLastSentence: ['删除上一句'], undo: ['撤销'], stopListening: ['停止听写']
+    },
+    ar: {
+        period: ['نقطة'], comma: ['فاصلة'], questionMark: ['علامة استفهام'],
+        newLine: ['سطر جديد'], newParagraph: ['فقرة جديدة'],
+        deleteLastSentence: ['احذف الجملة الأخيرة'], undo: ['تراجع'], stopListening: ['توقف عن الاستماع']
+    },
+    hi: {
+        period: ['पूर्ण विराम'], comma: ['अल्पविराम'], questionMark: ['प्रश्नवाचक चिह्न'],
+        newLine: ['नई पंक्ति'], newParagraph: ['नया अनुच्छेद'],
+        deleteLastSentence: ['आखिरी वाक्य हटाओ'], undo: ['पूर्ववत करें'], stopListening: ['सुनना बंद करो']
+    },
+    ru: {
+        period: ['точка'], comma: ['запятая'], questionMark: ['вопросительный знак'],
+        newLine: ['новая строка'], newParagraph: ['новый абзац'],
+        deleteLastSentence: ['удалить последнее предложение'], undo: ['отменить'], stopListening: ['хватит слушать']
+    }
+};
+
+// Punctuation inserted by the commands above; languages not listed use the Latin marks
+const VOICE_PUNCTUATION = {
+    default: { period: '.', comma: ',', questionMark: '?' },
+    ja: { period: '。', comma: '、', questionMark: '？' },
+    zh: { period: '。', comma: '，', questionMark: '？' },
+    ar: { period: '.', comma: '،', questionMark: '؟' },
+    hi: { period: '।', comma: ',', questionMark: '?' }
+};
+
+// Uploaded audio is decoded at Whisper's sample rate for the waveform editor and for the
+// preprocessed WAV files sent for transcription
+const SPEECH_SAMPLE_RATE = 16000;
+
+// Remove Silence in the audio editor: RMS is measured per window and compared with a threshold
+// relative to the file's loud passages (95th percentile level)
+const SILENCE_DETECTION = {
+    windowSeconds: 0.05,
+    minSilenceSeconds: 1.5,
+    paddingSeconds: 0.25,
+    relativeThreshold: 0.1,
+    minThreshold: 0.005
+};
+
+// Voice activity detection on the microphone analyser (levels are RMS of float samples).
+// Speech must last onsetMs to count, and a pause of utterancePauseMs ends an utterance.
+const VAD_SETTINGS = {
+    frameMs: 50,
+    onsetMs: 100,
+    utterancePauseMs: 700,
+    speechRatio: 3.2,         // ~10 dB above the noise floor
+    minSpeechLevel: 0.005,
+    minNoiseFloor: 0.0005,
+    noiseFloorRise: 1.005     // per frame, about +1 dB per second
+};
+
+// Microphone level meter: peaks at clipLevel count as clipping, and an RMS level that stays under
+// quietLevel for quietSeconds is reported as too quiet
+const LEVEL_METER = {
+    clipLevel: 0.99,
+    quietLevel: 0.003,
+    quietSeconds: 4,
+    floorDb: -60
+};
+
+// Playback speeds offered by the transcript player, slowest first
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Safeguards applied when expanding ZIP archives in the browser
+const ZIP_LIMITS = {
+    maxEntries: 1000,
+    maxEntrySize: 200 * 1024 * 1024,
+    maxTotalSize: 500 * 1024 * 1024,
+    maxCompressionRatio: 100,
+    maxDepth: 3
+};
+
 class AudioTranscriptionHub {
     constructor() {
         this.uploadedFiles = [];
@@ -10,6 +159,17 @@ class AudioTranscriptionHub {
         this.recognition = null;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        this.lastRecording = null;
+        this.processingQueue = [];
+        this.workerPool = [];
+        this.workerQueue = [];
+        this.workersUnavailable = false;
+        this.activeTasks = new Map();
+        this.batchFiles = new Set();
+        this.isProcessing = false;
+        this.isRetranscribing = false;
+        this.comparison = null;
+        this.translators = [];
         this.isRecording = false;
         this.isPaused = false;
         this.currentStream = null;
@@ -17,23 +177,116 @@ class AudioTranscriptionHub {
         this.analyser = null;
         this.microphone = null;
         
+        // Transcript document model; see the transcript model methods
+        this.transcript = { segments: [] };
+        this.interimText = '';
+        this.renderedTranscript = '';
+        this.segmentRanges = [];
+        this.transcriptView = 'edit';
+        this.reviewSegmentId = null;
+        
+        // Voice activity detection state while a mic session runs (see startVoiceActivityDetection)
+        this.vad = null;
+        
+        // Waveform editor state for the uploaded file being trimmed (see openAudioEditor)
+        this.audioEditor = null;
+        this.audioEditorLoading = null; // { fileId } while that file decodes; replaced or cleared to discard it
+        this.previewContext = null;
+        
+        // Whisper model files picked from disk for the in-browser engine (see loadModelFolder)
+        this.localModelFiles = null;
+        
+        // Transcript player; playbackSourceKey is the source (see getSourceKey) whose audio is loaded
+        this.playbackSourceKey = null;
+        this.playbackUrl = null;
+        this.playbackFrame = null;
+        this.playingSegmentId = null;
+        
+        // Session history (IndexedDB); currentSession is the one the working transcript saves into
+        this.currentSession = null;
+        this.sessionDbPromise = null;
+        this.sessionSaveTimer = null;
+        
+        // Current dictation session; segment times are seconds since it started
+        this.micSession = null;
+        this.stoppingMicSession = null; // a stopped session whose last results may still arrive
+        this.utteranceStart = null;
+        this.dictationUndo = [];
+        
         // Settings
         this.settings = {
             autoSave: true,
             timestampFormat: 'none',
             confidenceThreshold: 0.8,
-            language: 'en-US'
+            dropLowConfidence: false,
+            playbackRate: 1,
+            language: 'en-US',
+            micDeviceId: '',
+            micEchoCancellation: true,
+            micNoiseSuppression: true,
+            micAutoGainControl: true,
+            apiUrl: API_URL,
+            apiTimeout: 300,
+            apiRetries: 2,
+            pdfPageMarkers: true,
+            docxOutputFormat: 'text',
+            processingConcurrency: 2,
+            audioEngine: 'backend',
+            localModel: 'Xenova/whisper-tiny.en',
+            localModelPath: '',
+            diarization: true,
+            speakerCount: 0,
+            preprocessAudio: true,
+            noiseReduction: true,
+            normalizeLoudness: true,
+            fileLanguage: 'auto',
+            translateTo: '',
+            vocabulary: [],
+            voiceCommands: true,
+            voiceCommandMappings: '',
+            vadSegmentation: true,
+            paragraphPause: 4,
+            autoStopSilence: 0,
+            zipProcessing: 'browser',
+            captionMaxLineLength: 42,
+            captionMaxCueDuration: 7
         };
         
         this.initializeElements();
         this.initializeSpeechRecognition();
         this.initializeAudioVisualization();
+        this.initializeDocumentLibraries();
+        this.initializeTranslators();
         this.bindEvents();
         this.loadSettings();
+        this.populateMicDevices();
+        this.initializeSessionHistory();
         
         console.log('Audio Transcription Hub initialized successfully');
     }
     
+    // Register the browser's built-in on-device translator where it exists (Chrome's Translator API)
+    initializeTranslators() {
+        if (!('Translator' in window)) return;
+        
+        const instances = new Map();
+        this.registerTranslator({
+            name: 'Browser',
+            supports: (from, to) => Boolean(from) && from !== to,
+            translate: async (text, { from, to, signal }) => {
+                const key = `${from}>${to}`;
+                if (!instances.has(key)) {
+                    instances.set(key, Translator.create({ sourceLanguage: from, targetLanguage: to }).catch(error => {
+                        instances.delete(key);
+                        throw error;
+                    }));
+                }
+                const translator = await instances.get(key);
+                return translator.translate(text, { signal });
+            }
+        });
+    }
+    
     // Initialize DOM elements
     initializeElements() {
         // File upload elements
@@ -41,6 +294,7 @@ class AudioTranscriptionHub {
         this.fileInput = document.getElementById('fileInput');
         this.fileList = document.getElementById('fileList');
         this.processBtn = document.getElementById('processBtn');
+        this.cancelAllBtn = document.getElementById('cancelAllBtn');
         this.progressBar = document.getElementById('progressBar');
         this.progressFill = document.getElementById('progressFill');
         
@@ -51,10 +305,43 @@ class AudioTranscriptionHub {
         this.pauseBtn = document.getElementById('pauseBtn');
         this.resumeBtn = document.getElementById('resumeBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.recordingInfo = document.getElementById('recordingInfo');
+        this.downloadRecordingBtn = document.getElementById('downloadRecordingBtn');
+        this.downloadWavBtn = document.getElementById('downloadWavBtn');
+        this.whisperBtn = document.getElementById('whisperBtn');
+        this.comparisonPanel = document.getElementById('comparisonPanel');
+        this.comparisonRows = document.getElementById('comparisonRows');
         
         // Results elements
         this.transcriptArea = document.getElementById('transcriptArea');
         this.transcriptStats = document.getElementById('transcriptStats');
+        this.transcriptContainer = document.getElementById('transcriptContainer');
+        this.audioEditorPanel = document.getElementById('audioEditor');
+        this.audioEditorTitle = document.getElementById('audioEditorTitle');
+        this.audioEditorInfo = document.getElementById('audioEditorInfo');
+        this.waveformCanvas = document.getElementById('waveformCanvas');
+        this.keepSelectionBtn = document.getElementById('keepSelectionBtn');
+        this.cutSelectionBtn = document.getElementById('cutSelectionBtn');
+        this.removeSilenceBtn = document.getElementById('removeSilenceBtn');
+        this.zoomSelectionBtn = document.getElementById('zoomSelectionBtn');
+        this.zoomOutBtn = document.getElementById('zoomOutBtn');
+        this.previewAudioBtn = document.getElementById('previewAudioBtn');
+        this.chunkLengthSelect = document.getElementById('chunkLength');
+        this.resetEditBtn = document.getElementById('resetEditBtn');
+        this.applyEditBtn = document.getElementById('applyEditBtn');
+        this.closeEditorBtn = document.getElementById('closeEditorBtn');
+        this.playbackPanel = document.getElementById('playbackPanel');
+        this.playbackSourceSelect = document.getElementById('playbackSource');
+        this.playbackAudio = document.getElementById('playbackAudio');
+        this.playbackRateSelect = document.getElementById('playbackRate');
+        this.transcriptRich = document.getElementById('transcriptRich');
+        this.alternativesPopover = document.getElementById('alternativesPopover');
+        this.editViewBtn = document.getElementById('editViewBtn');
+        this.reviewViewBtn = document.getElementById('reviewViewBtn');
+        this.lowConfidenceCount = document.getElementById('lowConfidenceCount');
+        this.prevLowConfidenceBtn = document.getElementById('prevLowConfidenceBtn');
+        this.nextLowConfidenceBtn = document.getElementById('nextLowConfidenceBtn');
+        this.speakerList = document.getElementById('speakerList');
         this.errorMessage = document.getElementById('errorMessage');
         this.successMessage = document.getElementById('successMessage');
         
@@ -62,6 +349,8 @@ class AudioTranscriptionHub {
         this.copyBtn = document.getElementById('copyBtn');
         this.downloadBtn = document.getElementById('downloadBtn');
         this.downloadAllBtn = document.getElementById('downloadAllBtn');
+        this.exportSrtBtn = document.getElementById('exportSrtBtn');
+        this.exportVttBtn = document.getElementById('exportVttBtn');
         this.speakBtn = document.getElementById('speakBtn');
         this.clearBtn = document.getElementById('clearBtn');
         
@@ -69,7 +358,62 @@ class AudioTranscriptionHub {
         this.autoSave = document.getElementById('autoSave');
         this.timestampFormat = document.getElementById('timestampFormat');
         this.confidenceThreshold = document.getElementById('confidenceThreshold');
+        this.dropLowConfidenceInput = document.getElementById('dropLowConfidence');
         this.confidenceValue = document.getElementById('confidenceValue');
+        this.apiUrlInput = document.getElementById('apiUrl');
+        this.apiTimeoutInput = document.getElementById('apiTimeout');
+        this.apiRetriesInput = document.getElementById('apiRetries');
+        this.pdfPageMarkersInput = document.getElementById('pdfPageMarkers');
+        this.docxOutputFormatSelect = document.getElementById('docxOutputFormat');
+        this.zipProcessingSelect = document.getElementById('zipProcessing');
+        this.processingConcurrencyInput = document.getElementById('processingConcurrency');
+        this.audioEngineSelect = document.getElementById('audioEngine');
+        this.localModelSelect = document.getElementById('localModel');
+        this.localModelPathInput = document.getElementById('localModelPath');
+        this.diarizationInput = document.getElementById('diarization');
+        this.speakerCountInput = document.getElementById('speakerCount');
+        this.preprocessAudioInput = document.getElementById('preprocessAudio');
+        this.noiseReductionInput = document.getElementById('noiseReduction');
+        this.normalizeLoudnessInput = document.getElementById('normalizeLoudness');
+        this.voiceCommandsInput = document.getElementById('voiceCommands');
+        this.voiceCommandMappingsInput = document.getElementById('voiceCommandMappings');
+        this.micDeviceSelect = document.getElementById('micDevice');
+        this.micEchoCancellationInput = document.getElementById('micEchoCancellation');
+        this.micNoiseSuppressionInput = document.getElementById('micNoiseSuppression');
+        this.micAutoGainControlInput = document.getElementById('micAutoGainControl');
+        this.micLevelPanel = document.getElementById('micLevel');
+        this.levelMeter = document.getElementById('levelMeter');
+        this.levelMeterFill = document.getElementById('levelMeterFill');
+        this.levelMeterStatus = document.getElementById('levelMeterStatus');
+        this.vadSegmentationInput = document.getElementById('vadSegmentation');
+        this.paragraphPauseInput = document.getElementById('paragraphPause');
+        this.autoStopSilenceInput = document.getElementById('autoStopSilence');
+        this.fileLanguageSelect = document.getElementById('fileLanguage');
+        this.translateToSelect = document.getElementById('translateTo');
+        this.vocabularyTermInput = document.getElementById('vocabularyTerm');
+        this.vocabularyHintInput = document.getElementById('vocabularyHint');
+        this.vocabularyReplacementsInput = document.getElementById('vocabularyReplacements');
+        this.addVocabularyBtn = document.getElementById('addVocabularyBtn');
+        this.vocabularyList = document.getElementById('vocabularyList');
+        this.importVocabularyBtn = document.getElementById('importVocabularyBtn');
+        this.exportVocabularyBtn = document.getElementById('exportVocabularyBtn');
+        this.vocabularyFileInput = document.getElementById('vocabularyFileInput');
+        this.clearModelCacheBtn = document.getElementById('clearModelCacheBtn');
+        this.modelFolderInfo = document.getElementById('modelFolderInfo');
+        this.chooseModelFolderBtn = document.getElementById('chooseModelFolderBtn');
+        this.forgetModelFolderBtn = document.getElementById('forgetModelFolderBtn');
+        this.modelFolderInput = document.getElementById('modelFolderInput');
+        this.captionMaxLineLengthInput = document.getElementById('captionMaxLineLength');
+        this.captionMaxCueDurationInput = document.getElementById('captionMaxCueDuration');
+        
+        // History sidebar elements
+        this.historyToggle = document.getElementById('historyToggle');
+        this.historySidebar = document.getElementById('historySidebar');
+        this.historyCloseBtn = document.getElementById('historyCloseBtn');
+        this.newSessionBtn = document.getElementById('newSessionBtn');
+        this.historySearch = document.getElementById('historySearch');
+        this.historyList = document.getElementById('historyList');
+        this.historyQuota = document.getElementById('historyQuota');
         
         // Other elements
         this.loadingOverlay = document.getElementById('loadingOverlay');
@@ -90,7 +434,7 @@ class AudioTranscriptionHub {
         // Configure recognition settings
         this.recognition.continuous = true;
         this.recognition.interimResults = true;
-        this.recognition.maxAlternatives = 1;
+        this.recognition.maxAlternatives = 3; // offered when correcting low-confidence segments
         this.recognition.lang = this.languageSelect.value;
         
         // Set up event handlers
@@ -102,45 +446,73 @@ class AudioTranscriptionHub {
         };
         
         this.recognition.onresult = (event) => {
-            let finalTranscript = '';
             let interimTranscript = '';
+            let hasFinal = false;
+            let stopRequested = false;
+            
+            // After stop() the recognizer still delivers its last final result; it belongs to the
+            // session being stopped, which is kept until onend
+            const now = Date.now();
+            const session = this.micSession || this.stoppingMicSession;
+            if (!session) return;
+            if (this.utteranceStart === null) this.utteranceStart = now;
             
             for (let i = event.resultIndex; i < event.results.length; i++) {
                 const result = event.results[i];
                 const transcript = result[0].transcript;
                 const confidence = result[0].confidence;
                 
-                // Only include results above confidence threshold
-                if (confidence && confidence < this.settings.confidenceThreshold) {
+                // Results below the threshold are kept and highlighted unless dropping is opted into
+                if (this.settings.dropLowConfidence && confidence && confidence < this.settings.confidenceThreshold) {
                     continue;
                 }
                 
                 if (result.isFinal) {
-                    finalTranscript += this.formatTranscript(transcript) + ' ';
+                    const source = { kind: 'mic', id: session.id, name: session.name };
+                    // Voice activity detection hears speech start before the first result arrives
+                    const vad = this.vad;
+                    const start = vad && vad.utteranceOnset !== null ?
+                        Math.min(vad.utteranceOnset, this.getSessionTime(this.utteranceStart, session)) :
+                        this.getSessionTime(this.utteranceStart, session);
+                    if (vad) {
+                        if (vad.paragraphPending) this.breakDictationParagraph(source);
+                        vad.paragraphPending = false;
+                        vad.utteranceOnset = null;
+                    }
+                    
+                    if (!stopRequested) {
+                        stopRequested = this.handleDictatedText(transcript, {
+                            source: source,
+                            start: start,
+                            end: this.getSessionTime(now, session),
+                            confidence: confidence || null,
+                            language: this.settings.language,
+                            alternatives: Array.from(result).slice(1)
+                                .filter(alternative => alternative.transcript.trim())
+                                .map(alternative => ({ text: alternative.transcript, confidence: alternative.confidence || null }))
+                        });
+                    }
+                    hasFinal = true;
+                    this.utteranceStart = now;
                 } else {
                     interimTranscript += transcript;
                 }
             }
             
-            // Update transcript area
-            const currentText = this.transcriptArea.value;
-            let newText = currentText;
-            
-            if (finalTranscript) {
-                newText = currentText + finalTranscript;
-                this.transcriptArea.value = newText;
-                
-                // Auto-save if enabled
-                if (this.settings.autoSave) {
-                    this.saveToLocalStorage(newText);
-                }
+            // The next utterance starts with the next result once nothing is pending
+            if (!interimTranscript) {
+                this.utteranceStart = null;
             }
             
-            // Show interim results
-            const displayText = newText + interimTranscript;
-            this.transcriptArea.value = displayText;
-            this.updateTranscriptStats(displayText);
-            this.transcriptArea.scrollTop = this.transcriptArea.scrollHeight;
+            this.interimText = interimTranscript.trim();
+            this.refreshTranscriptView();
+            
+            if (hasFinal) {
+                this.autoSaveTranscript();
+            }
+            if (stopRequested) {
+                this.stopRecognition();
+            }
         };
         
         this.recognition.onerror = (event) => {
@@ -150,15 +522,22 @@ class AudioTranscriptionHub {
         
         this.recognition.onend = () => {
             this.isRecording = false;
+            this.utteranceStart = null;
+            this.stoppingMicSession = null;
             this.updateRecorderUI();
             this.stopVisualization();
             console.log('Speech recognition ended');
             
-            // Restart if not manually stopped
-            if (!this.isPaused && this.micButton.classList.contains('recording')) {
+            // Recognition ends by itself after silences; keep listening while the session is active.
+            // The stream and MediaRecorder keep running, so the restart only touches recognition.
+            if (this.micSession && !this.isPaused) {
                 setTimeout(() => {
-                    if (!this.isPaused) {
-                        this.startRecognition();
+                    if (this.micSession && !this.isPaused && !this.isRecording) {
+                        try {
+                            this.startRecognizer();
+                        } catch (error) {
+                            console.warn('Failed to restart speech recognition:', error);
+                        }
                     }
                 }, 100);
             }
@@ -181,6 +560,19 @@ class AudioTranscriptionHub {
         }
     }
     
+    // Configure third-party document parsers loaded from index.html
+    initializeDocumentLibraries() {
+        if (window.pdfjsLib) {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+        } else {
+            console.warn('pdf.js not loaded; PDF extraction will be unavailable');
+        }
+        
+        if (!window.JSZip) {
+            console.warn('JSZip not loaded; DOCX extraction will be unavailable');
+        }
+    }
+    
     // Bind all event listeners
     bindEvents() {
         // File upload events
@@ -195,6 +587,9 @@ class AudioTranscriptionHub {
         // Settings events
         this.bindSettingsEvents();
         
+        // History sidebar events
+        this.bindHistoryEvents();
+        
         // Global events
         this.bindGlobalEvents();
     }
@@ -228,6 +623,25 @@ class AudioTranscriptionHub {
         this.processBtn.addEventListener('click', () => {
             this.processFiles();
         });
+        
+        this.cancelAllBtn.addEventListener('click', () => {
+            this.cancelAllProcessing();
+        });
+        
+        // Audio editor
+        ['pointerdown', 'pointermove', 'pointerup'].forEach(type => {
+            this.waveformCanvas.addEventListener(type, (e) => this.handleWaveformPointer(e));
+        });
+        this.keepSelectionBtn.addEventListener('click', () => this.keepSelection());
+        this.cutSelectionBtn.addEventListener('click', () => this.cutSelection());
+        this.removeSilenceBtn.addEventListener('click', () => this.removeSilence());
+        this.zoomSelectionBtn.addEventListener('click', () => this.zoomToSelection());
+        this.zoomOutBtn.addEventListener('click', () => this.zoomOut());
+        this.previewAudioBtn.addEventListener('click', () => this.toggleAudioPreview());
+        this.chunkLengthSelect.addEventListener('change', (e) => this.setChunkLength(parseInt(e.target.value, 10)));
+        this.resetEditBtn.addEventListener('click', () => this.resetAudioEdit());
+        this.applyEditBtn.addEventListener('click', () => this.applyAudioEdit());
+        this.closeEditorBtn.addEventListener('click', () => this.closeAudioEditor());
     }
     
     bindVoiceRecorderEvents() {
@@ -251,6 +665,14 @@ class AudioTranscriptionHub {
             this.stopRecognition();
         });
         
+        this.downloadRecordingBtn.addEventListener('click', () => this.downloadRecording('original'));
+        this.downloadWavBtn.addEventListener('click', () => this.downloadRecording('wav'));
+        this.whisperBtn.addEventListener('click', () => this.retranscribeRecording());
+        
+        document.getElementById('keepBrowserBtn').addEventListener('click', () => this.closeComparison());
+        document.getElementById('keepWhisperBtn').addEventListener('click', () => this.applyComparison('whisper'));
+        document.getElementById('applyMergeBtn').addEventListener('click', () => this.applyComparison());
+        
         this.languageSelect.addEventListener('change', (e) => {
             this.settings.language = e.target.value;
             if (this.recognition) {
@@ -258,14 +680,51 @@ class AudioTranscriptionHub {
             }
             this.saveSettings();
         });
+        
+        // Microphone selection and processing
+        this.micDeviceSelect.addEventListener('change', (e) => {
+            this.settings.micDeviceId = e.target.value;
+            this.saveSettings();
+            if (this.micSession) {
+                this.showSuccess('The new microphone will be used from the next dictation.');
+            }
+        });
+        
+        ['micEchoCancellation', 'micNoiseSuppression', 'micAutoGainControl'].forEach(name => {
+            this[`${name}Input`].addEventListener('change', (e) => {
+                this.settings[name] = e.target.checked;
+                this.saveSettings();
+                this.applyMicProcessing();
+            });
+        });
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.populateMicDevices());
+        }
     }
     
     bindActionButtonEvents() {
         this.copyBtn.addEventListener('click', () => this.copyToClipboard());
         this.downloadBtn.addEventListener('click', () => this.downloadTranscript());
         this.downloadAllBtn.addEventListener('click', () => this.downloadAllFiles());
+        this.exportSrtBtn.addEventListener('click', () => this.exportCaptions('srt'));
+        this.exportVttBtn.addEventListener('click', () => this.exportCaptions('vtt'));
         this.speakBtn.addEventListener('click', () => this.speakText());
         this.clearBtn.addEventListener('click', () => this.clearAll());
+        this.editViewBtn.addEventListener('click', () => this.setTranscriptView('edit'));
+        this.reviewViewBtn.addEventListener('click', () => this.setTranscriptView('review'));
+        this.prevLowConfidenceBtn.addEventListener('click', () => this.navigateLowConfidence(-1));
+        this.nextLowConfidenceBtn.addEventListener('click', () => this.navigateLowConfidence(1));
+        
+        // Transcript player
+        this.playbackSourceSelect.addEventListener('change', (e) => this.selectPlaybackSource(e.target.value));
+        this.playbackRateSelect.addEventListener('change', (e) => this.setPlaybackRate(parseFloat(e.target.value)));
+        this.playbackAudio.addEventListener('play', () => this.startPlaybackTracking());
+        this.playbackAudio.addEventListener('pause', () => this.stopPlaybackTracking());
+        this.playbackAudio.addEventListener('ended', () => this.stopPlaybackTracking());
+        this.playbackAudio.addEventListener('seeked', () => this.updatePlaybackHighlight());
+        this.transcriptRich.addEventListener('click', (e) => this.handleRichTranscriptClick(e));
+        this.transcriptArea.addEventListener('click', () => this.handleTranscriptAreaClick());
     }
     
     bindSettingsEvents() {
@@ -283,13 +742,184 @@ class AudioTranscriptionHub {
             this.settings.confidenceThreshold = parseFloat(e.target.value);
             this.confidenceValue.textContent = e.target.value;
             this.saveSettings();
+            this.refreshTranscriptView();
+        });
+        
+        this.dropLowConfidenceInput.addEventListener('change', (e) => {
+            this.settings.dropLowConfidence = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.apiUrlInput.addEventListener('change', (e) => {
+            this.settings.apiUrl = e.target.value.trim();
+            e.target.value = this.settings.apiUrl;
+            this.saveSettings();
+        });
+        
+        this.apiTimeoutInput.addEventListener('change', (e) => {
+            this.settings.apiTimeout = Math.max(10, parseInt(e.target.value, 10) || 300);
+            e.target.value = this.settings.apiTimeout;
+            this.saveSettings();
+        });
+        
+        this.apiRetriesInput.addEventListener('change', (e) => {
+            this.settings.apiRetries = Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0));
+            e.target.value = this.settings.apiRetries;
+            this.saveSettings();
+        });
+        
+        this.pdfPageMarkersInput.addEventListener('change', (e) => {
+            this.settings.pdfPageMarkers = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.docxOutputFormatSelect.addEventListener('change', (e) => {
+            this.settings.docxOutputFormat = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.zipProcessingSelect.addEventListener('change', (e) => {
+            this.settings.zipProcessing = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.processingConcurrencyInput.addEventListener('change', (e) => {
+            this.settings.processingConcurrency = Math.min(6, Math.max(1, parseInt(e.target.value, 10) || 2));
+            e.target.value = this.settings.processingConcurrency;
+            this.saveSettings();
+            this.pumpProcessingQueue();
+        });
+        
+        this.diarizationInput.addEventListener('change', (e) => {
+            this.settings.diarization = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.speakerCountInput.addEventListener('change', (e) => {
+            this.settings.speakerCount = Math.min(20, Math.max(0, parseInt(e.target.value, 10) || 0));
+            e.target.value = this.settings.speakerCount;
+            this.saveSettings();
+        });
+        
+        ['preprocessAudio', 'noiseReduction', 'normalizeLoudness'].forEach(name => {
+            this[`${name}Input`].addEventListener('change', (e) => {
+                this.settings[name] = e.target.checked;
+                this.saveSettings();
+            });
+        });
+        
+        this.fileLanguageSelect.addEventListener('change', (e) => {
+            this.settings.fileLanguage = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.translateToSelect.addEventListener('change', (e) => {
+            this.settings.translateTo = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.voiceCommandsInput.addEventListener('change', (e) => {
+            this.settings.voiceCommands = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.voiceCommandMappingsInput.addEventListener('change', (e) => {
+            this.settings.voiceCommandMappings = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.vadSegmentationInput.addEventListener('change', (e) => {
+            this.settings.vadSegmentation = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.paragraphPauseInput.addEventListener('change', (e) => {
+            this.settings.paragraphPause = Math.min(60, Math.max(0, parseFloat(e.target.value) || 0));
+            e.target.value = this.settings.paragraphPause;
+            this.saveSettings();
+        });
+        
+        this.autoStopSilenceInput.addEventListener('change', (e) => {
+            this.settings.autoStopSilence = Math.min(3600, Math.max(0, parseInt(e.target.value, 10) || 0));
+            e.target.value = this.settings.autoStopSilence;
+            this.saveSettings();
+        });
+        
+        this.addVocabularyBtn.addEventListener('click', () => this.addVocabularyTerm());
+        [this.vocabularyTermInput, this.vocabularyHintInput, this.vocabularyReplacementsInput].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.addVocabularyTerm();
+            });
+        });
+        
+        this.exportVocabularyBtn.addEventListener('click', () => this.exportVocabulary());
+        this.importVocabularyBtn.addEventListener('click', () => this.vocabularyFileInput.click());
+        this.vocabularyFileInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importVocabulary(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        this.audioEngineSelect.addEventListener('change', (e) => {
+            this.settings.audioEngine = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.localModelSelect.addEventListener('change', (e) => {
+            this.settings.localModel = e.target.value;
+            this.saveSettings();
+        });
+        
+        this.localModelPathInput.addEventListener('change', (e) => {
+            this.settings.localModelPath = e.target.value.trim();
+            e.target.value = this.settings.localModelPath;
+            this.saveSettings();
+        });
+        
+        this.clearModelCacheBtn.addEventListener('click', () => {
+            this.clearModelCache();
+        });
+        
+        this.chooseModelFolderBtn.addEventListener('click', () => this.modelFolderInput.click());
+        this.modelFolderInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadModelFolder(Array.from(e.target.files));
+            }
+            e.target.value = '';
+        });
+        this.forgetModelFolderBtn.addEventListener('click', () => this.forgetModelFolder());
+        
+        this.captionMaxLineLengthInput.addEventListener('change', (e) => {
+            this.settings.captionMaxLineLength = Math.min(80, Math.max(20, parseInt(e.target.value, 10) || 42));
+            e.target.value = this.settings.captionMaxLineLength;
+            this.saveSettings();
+        });
+        
+        this.captionMaxCueDurationInput.addEventListener('change', (e) => {
+            this.settings.captionMaxCueDuration = Math.min(20, Math.max(1, parseFloat(e.target.value) || 7));
+            e.target.value = this.settings.captionMaxCueDuration;
+            this.saveSettings();
         });
         
         this.transcriptArea.addEventListener('input', () => {
-            this.updateTranscriptStats(this.transcriptArea.value);
-            if (this.settings.autoSave) {
-                this.saveToLocalStorage(this.transcriptArea.value);
+            this.applyTranscriptEdit(this.transcriptArea.value);
+            this.autoSaveTranscript();
+        });
+    }
+    
+    bindHistoryEvents() {
+        this.historyToggle.addEventListener('click', () => this.toggleHistory());
+        this.historyCloseBtn.addEventListener('click', () => this.toggleHistory(false));
+        this.historySearch.addEventListener('input', () => this.refreshHistoryList());
+        
+        this.newSessionBtn.addEventListener('click', () => {
+            if (this.isRecording) {
+                this.showError('Stop recording before starting a new session.');
+                return;
             }
+            this.startNewSession();
+            this.clearTranscript();
+            localStorage.removeItem('transcriptData');
+            this.showSuccess('Started a new session. The previous one is saved in History.');
         });
     }
     
@@ -319,8 +949,29 @@ class AudioTranscriptionHub {
                 }
             }
             
+            if (e.key === 'Escape') {
+                this.closeAlternatives();
+            }
+            
+            // Transcript player: Alt+K play/pause, Alt+J / Alt+L back/forward 5 s, Alt+, / Alt+. speed.
+            // e.code keeps these working on layouts where Alt changes the typed character.
+            if (e.altKey && !e.ctrlKey && !e.metaKey && this.playbackSourceKey) {
+                const actions = {
+                    KeyK: () => this.togglePlayback(),
+                    KeyJ: () => this.skipPlayback(-5),
+                    KeyL: () => this.skipPlayback(5),
+                    Comma: () => this.changePlaybackRate(-1),
+                    Period: () => this.changePlaybackRate(1)
+                };
+                if (actions[e.code]) {
+                    e.preventDefault();
+                    actions[e.code]();
+                    return;
+                }
+            }
+            
             // Space bar for recording toggle (when not typing)
-            if (e.code === 'Space' && e.target !== this.transcriptArea) {
+            if (e.code === 'Space' && !e.target.closest('input, textarea, select, button, [contenteditable]')) {
                 e.preventDefault();
                 if (this.isRecording) {
                     this.stopRecognition();
@@ -330,9 +981,16 @@ class AudioTranscriptionHub {
             }
         });
         
+        // Clicking outside the alternatives popover closes it
+        document.addEventListener('click', (e) => {
+            if (this.reviewSegmentId && !e.target.closest('#alternativesPopover, .transcript-segment')) {
+                this.closeAlternatives();
+            }
+        });
+        
         // Window before unload
         window.addEventListener('beforeunload', (e) => {
-            if (this.transcriptArea.value.trim() && !this.settings.autoSave) {
+            if (this.transcript.segments.length > 0 && !this.settings.autoSave) {
                 e.preventDefault();
                 e.returnValue = '';
             }
@@ -351,25 +1009,37 @@ class AudioTranscriptionHub {
         if (validFiles.length === 0) return;
         
         validFiles.forEach(file => {
-            const fileData = {
-                id: this.generateId(),
-                file: file,
-                name: file.name,
-                size: this.formatFileSize(file.size),
-                type: file.type || this.getFileType(file.name),
-                status: 'pending',
-                result: null,
-                timestamp: new Date()
-            };
-            
-            this.uploadedFiles.push(fileData);
+            this.uploadedFiles.push(this.createFileData(file));
         });
         
         this.updateFileList();
-        this.processBtn.disabled = false;
+        this.updateProcessingUI();
         this.showSuccess(`Added ${validFiles.length} file(s) to processing queue.`);
     }
     
+    // Create a file list entry; archive entries pass their path and parent id in overrides
+    createFileData(file, overrides = {}) {
+        return {
+            id: this.generateId(),
+            file: file,
+            name: file ? file.name : '',
+            path: null,
+            parentId: null,
+            children: [],
+            size: file ? this.formatFileSize(file.size) : '',
+            type: file ? this.getMediaType(file) : '',
+            status: 'pending',
+            result: null,
+            error: null,
+            language: null,
+            translation: null,
+            translationError: null,
+            backendJobId: null, // set for archives processed on the backend
+            timestamp: new Date(),
+            ...overrides
+        };
+    }
+    
     // Validate file types
     isValidFile(file) {
         const supportedTypes = [
@@ -408,201 +1078,4042 @@ class AudioTranscriptionHub {
         return typeMap[ext] || 'application/octet-stream';
     }
     
+    // Browsers report .mp4 and .webm files as video; only their audio is transcribed
+    getMediaType(file) {
+        return (file.type || this.getFileType(file.name)).replace(/^video\//, 'audio/');
+    }
+    
+    // "Spanish → English" once a file's language is known or it has been translated
+    getFileLanguageLabel(fileData) {
+        if (fileData.translationError) {
+            return `${fileData.language ? `${this.getLanguageName(fileData.language)}, ` : ''}${fileData.translationError}`;
+        }
+        if (!fileData.language && !fileData.translation) return null;
+        
+        const language = this.getLanguageName(fileData.language);
+        return fileData.translation ? `${language} → ${this.getLanguageName(fileData.translation.language)}` : language;
+    }
+    
     // Update file list display
     updateFileList() {
         this.fileList.innerHTML = '';
         
-        this.uploadedFiles.forEach((fileData) => {
+        const renderItem = (fileData, depth) => {
             const fileItem = document.createElement('div');
-            fileItem.className = 'file-item fade-in';
+            fileItem.className = `file-item fade-in${depth > 0 ? ' file-item-child' : ''}`;
+            fileItem.style.marginLeft = `${depth * 20}px`;
             fileItem.innerHTML = `
                 <div class="file-info">
-                    <div class="file-name">${fileData.name}</div>
-                    <div class="file-details">${fileData.size} • ${this.getFileTypeDisplay(fileData.type)}</div>
+                    <div class="file-name">${this.escapeHtml(fileData.name)}</div>
+                    <div class="file-details">${[fileData.size, this.getFileTypeDisplay(fileData.type), this.describeAudioEdit(fileData.edit), this.getFileLanguageLabel(fileData)].filter(Boolean).map(detail => this.escapeHtml(detail)).join(' • ')}</div>
+                    ${fileData.error ? `<div class="file-error">${this.escapeHtml(fileData.error)}</div>` : ''}
                 </div>
                 <div class="file-actions">
-                    <span class="file-status status-${fileData.status}">${this.getStatusDisplay(fileData.status)}</span>
-                    <button class="remove-file-btn" onclick="app.removeFile('${fileData.id}')" title="Remove file">×</button>
+                    <span class="file-status status-${fileData.status}" title="${this.escapeHtml(fileData.error || '')}">${fileData.progressLabel ? this.escapeHtml(fileData.progressLabel) : this.getStatusDisplay(fileData.status)}</span>
+                    ${depth === 0 && ['queued', 'processing'].includes(fileData.status) ? `<button class="file-action-btn" onclick="app.cancelFile('${fileData.id}')" title="Cancel">⏹</button>` : ''}
+                    ${depth === 0 && ['error', 'cancelled'].includes(fileData.status) ? `<button class="file-action-btn" onclick="app.retryFile('${fileData.id}')" title="Retry">↻</button>` : ''}
+                    ${fileData.backendJobId && fileData.status === 'completed' ? `<button class="file-action-btn" onclick="app.downloadBackendResults('${fileData.id}')" title="Download the backend's results ZIP">📦</button>` : ''}
+                    ${depth === 0 && fileData.type.startsWith('audio/') && !['queued', 'processing'].includes(fileData.status) ? `<button class="file-action-btn" onclick="app.openAudioEditor('${fileData.id}')" title="Trim and split">✂️</button>` : ''}
+                    ${depth === 0 ? `<button class="remove-file-btn" onclick="app.removeFile('${fileData.id}')" title="Remove file">×</button>` : ''}
                 </div>
             `;
             this.fileList.appendChild(fileItem);
-        });
+            fileData.children.forEach(child => renderItem(child, depth + 1));
+        };
+        
+        this.uploadedFiles.forEach(fileData => renderItem(fileData, 0));
         
         // Update process button text
         const fileCount = this.uploadedFiles.length;
         this.processBtn.textContent = fileCount > 0 ? `🚀 Process ${fileCount} File${fileCount > 1 ? 's' : ''}` : '🚀 Process Files';
     }
     
-    // Process uploaded files
-    async processFiles() {
-        if (this.uploadedFiles.length === 0) return;
-        
-        this.showLoading(true);
-        this.processBtn.disabled = true;
-        this.progressBar.style.display = 'block';
-        this.clearMessages();
-        
-        const results = [];
-        const totalFiles = this.uploadedFiles.length;
+    // Local transcription methods
+    // Whisper runs in the browser through transformers.js (ONNX Runtime on WebAssembly), so audio
+    // never leaves the machine. Model files are cached in Cache Storage after the first download.
+    async transcribeAudio(file, onStatus = () => {}, signal = null, fields = this.getUploadFields()) {
+        if (this.settings.audioEngine === 'local') {
+            return this.transcribeLocally(file, onStatus, signal, fields);
+        }
+        return this.transcribeOnBackend(file, onStatus, signal, fields);
+    }
+    
+    async loadTransformers() {
+        if (!this.transformersPromise) {
+            this.transformersPromise = import(TRANSFORMERS_URL).catch(error => {
+                this.transformersPromise = null;
+                throw new Error(`Could not load the in-browser speech engine: ${error.message}`);
+            });
+        }
+        return this.transformersPromise;
+    }
+    
+    // Use a transformers.js Whisper model folder from the user's disk (config.json, tokenizer files
+    // and onnx/*.onnx, as published under Xenova/ on the Hub) instead of the model selected above.
+    // File objects cannot be stored, so the folder has to be chosen again after a reload.
+    async loadModelFolder(files) {
+        const getRelativePath = (file) => (file.webkitRelativePath || file.name).split('/').slice(file.webkitRelativePath ? 1 : 0).join('/');
+        const paths = new Map(files.map(file => [getRelativePath(file), file]));
+        const hasFile = (name) => [...paths.keys()].some(path => path.split('/').pop() === name);
+        if (!hasFile('config.json') || ![...paths.keys()].some(path => path.endsWith('.onnx'))) {
+            this.showError('That folder is not a transformers.js Whisper model: it needs config.json and the ONNX model files.');
+            return;
+        }
         
-        for (let i = 0; i < totalFiles; i++) {
-            const fileData = this.uploadedFiles[i];
-            fileData.status = 'processing';
-            this.updateFileList();
-            
-            const progress = ((i + 1) / totalFiles) * 100;
-            this.updateProgress(progress);
-            
+        const name = files[0].webkitRelativePath ? files[0].webkitRelativePath.split('/')[0] : 'model';
+        // generation_config.json says whether the model is multilingual; otherwise go by the ".en" naming convention
+        let multilingual = !name.endsWith('.en');
+        const generationConfig = [...paths.entries()].find(([path]) => path.split('/').pop() === 'generation_config.json');
+        if (generationConfig) {
             try {
-                const result = await this.processFile(fileData.file);
-                fileData.status = 'completed';
-                fileData.result = result;
-                this.processedFiles.set(fileData.id, {
-                    name: fileData.name,
-                    content: result,
-                    timestamp: new Date()
-                });
-                
-                results.push(this.formatFileResult(fileData.name, result));
+                const config = JSON.parse(await generationConfig[1].text());
+                if (typeof config.is_multilingual === 'boolean') multilingual = config.is_multilingual;
             } catch (error) {
-                console.error(`Error processing ${fileData.name}:`, error);
-                fileData.status = 'error';
-                fileData.result = `Error: ${error.message}`;
-                results.push(this.formatFileResult(fileData.name, `Error: ${error.message}`, true));
+                console.warn('Could not read generation_config.json:', error.message);
             }
-            
-            this.updateFileList();
-            
-            // Add small delay to show progress
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-        
-        // Update transcript area
-        const combinedResult = results.join('\n\n');
-        this.transcriptArea.value = combinedResult;
-        this.updateTranscriptStats(combinedResult);
-        
-        // Auto-save if enabled
-        if (this.settings.autoSave) {
-            this.saveToLocalStorage(combinedResult);
         }
         
-        this.showLoading(false);
-        this.progressBar.style.display = 'none';
-        this.processBtn.disabled = false;
-        this.showSuccess(`Successfully processed ${totalFiles} file(s)!`);
-        
-        console.log(`Processed ${totalFiles} files successfully`);
+        this.localModelFiles = { id: this.generateId(), name, paths, multilingual };
+        this.updateModelFolderInfo();
+        this.showSuccess(`Loaded the model folder "${name}". The in-browser engine will use it until you reload the page.`);
     }
     
-    // Process individual file based on type
-    async processFile(file) {
-        const fileType = file.type || this.getFileType(file.name);
-        
-        if (fileType.startsWith('audio/')) {
-            return await this.processAudioFile(file);
-        } else if (fileType === 'text/plain') {
-            return await this.processTextFile(file);
-        } else if (fileType === 'application/pdf') {
-            return await this.processPDFFile(file);
-        } else if (fileType.includes('wordprocessingml')) {
-            return await this.processDocxFile(file);
-        } else if (fileType.includes('zip')) {
-            return await this.processZipFile(file);
-        } else {
-            throw new Error('Unsupported file type');
-        }
+    forgetModelFolder() {
+        this.localModelFiles = null;
+        this.updateModelFolderInfo();
     }
     
-    // Process audio files (simulation - requires server-side implementation)
-    async processAudioFile(file) {
-        return new Promise((resolve) => {
-            // Simulate processing time
-            setTimeout(() => {
-                const timestamp = this.formatTimestamp(new Date());
-                resolve(`${timestamp}Audio file processed: ${file.name}
-
-[Note: This is a simulated transcription. For actual audio transcription, you would need to implement server-side processing using libraries like OpenAI's Whisper, Google Cloud Speech-to-Text, or similar services.]
-
-Simulated transcript content would appear here based on the audio content of "${file.name}".`);
-            }, 1000 + Math.random() * 2000);
-        });
+    updateModelFolderInfo() {
+        const folder = this.localModelFiles;
+        this.modelFolderInfo.textContent = folder ?
+            `${folder.name} (${folder.paths.size} files, ${folder.multilingual ? 'multilingual' : 'English-only'})` : 'None loaded';
+        this.forgetModelFolderBtn.disabled = !folder;
     }
     
-    // Process text files
-    async processTextFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const content = e.target.result;
-                const timestamp = this.formatTimestamp(new Date());
-                resolve(`${timestamp}Text file content from: ${file.name}
-
-${content}`);
-            };
-            reader.onerror = () => {
-                reject(new Error('Failed to read text file'));
-            };
-            reader.readAsText(file, 'UTF-8');
-        });
+    isLocalModelMultilingual() {
+        return this.localModelFiles ? this.localModelFiles.multilingual : !this.settings.localModel.endsWith('.en');
     }
     
-    // Process PDF files (requires additional library)
-    async processPDFFile(file) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const timestamp = this.formatTimestamp(new Date());
-                resolve(`${timestamp}PDF file processed: ${file.name}
-
-[Note: PDF text extraction requires server-side implementation or additional libraries like PDF.js. This is a placeholder for the extracted content.]
-
-Extracted text content from "${file.name}" would appear here.`);
-            }, 1500);
-        });
+    // transformers.js looks model files up in a cache before fetching them; this one answers from the
+    // picked folder. Keys are the local path and the Hub URL, both ending in "/<file path in the model>".
+    createModelFolderCache(folder) {
+        return {
+            match: async (key) => {
+                let best = null;
+                folder.paths.forEach((file, path) => {
+                    if (key.endsWith(`/${path}`) && (!best || path.length > best.path.length)) {
+                        best = { path, file };
+                    }
+                });
+                if (!best) return undefined;
+                return new Response(best.file, { headers: { 'Content-Length': String(best.file.size) } });
+            },
+            put: async () => {}
+        };
     }
     
-    // Process DOCX files (requires additional library)
-    async processDocxFile(file) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const timestamp = this.formatTimestamp(new Date());
-                resolve(`${timestamp}DOCX file processed: ${file.name}
-
-[Note: DOCX processing requires server-side implementation or libraries like mammoth.js. This is a placeholder for the extracted content.]
-
-Document content from "${file.name}" would appear here.`);
-            }, 1200);
+    // One pipeline is kept per model and path (or picked folder); changing any of them loads a new one
+    async loadLocalTranscriber(onStatus) {
+        const modelPath = this.settings.localModelPath;
+        const folder = this.localModelFiles;
+        const key = folder ? `folder|${folder.id}` : `${modelPath}|${this.settings.localModel}`;
+        if (this.localTranscriber && this.localTranscriber.key === key) {
+            return this.localTranscriber.promise;
+        }
+        
+        const { pipeline, env } = await this.loadTransformers();
+        env.useBrowserCache = !folder;
+        env.useCustomCache = Boolean(folder);
+        env.customCache = folder ? this.createModelFolderCache(folder) : null;
+        env.backends.onnx.wasm.proxy = true; // run inference off the main thread
+        if (folder) {
+            // Everything is answered by the folder cache; nothing may be downloaded
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+        } else if (modelPath) {
+            // Self-hosted model files, e.g. models/Xenova/whisper-tiny.en/ next to index.html
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+            env.localModelPath = modelPath.replace(/\/*$/, '/');
+        } else {
+            env.allowLocalModels = false;
+            env.allowRemoteModels = true;
+        }
+        
+        const fileProgress = {};
+        const promise = pipeline('automatic-speech-recognition', folder ? folder.name : this.settings.localModel, {
+            quantized: true,
+            progress_callback: (event) => {
+                if (event.status !== 'progress' || !event.total) return;
+                fileProgress[event.file] = { loaded: event.loaded, total: event.total };
+                const totals = Object.values(fileProgress).reduce((sum, item) => ({
+                    loaded: sum.loaded + item.loaded,
+                    total: sum.total + item.total
+                }), { loaded: 0, total: 0 });
+                onStatus({ status: 'running', stage: 'loading model', progress: 0.3 * totals.loaded / totals.total });
+            }
         });
-    }
-    
-    // Process ZIP files
-    async processZipFile(file) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const timestamp = this.formatTimestamp(new Date());
-                resolve(`${timestamp}ZIP file processed: ${file.name}
-
-[Note: ZIP file extraction and processing would require server-side implementation to handle multiple file types within the archive.]
-
-Contents of "${file.name}" would be extracted and processed individually.`);
-            }, 2000);
+        
+        this.localTranscriber = { key, promise };
+        promise.catch(() => {
+            if (this.localTranscriber && this.localTranscriber.promise === promise) {
+                this.localTranscriber = null;
+            }
         });
+        return promise;
     }
     
-    // Voice recognition methods
-    async startRecognition() {
-        if (!this.recognition) {
-            this.showError('Speech recognition not available');
+    // Decode any format the browser supports straight to 16 kHz (decodeAudioData resamples to the
+    // context rate) and mix the channels down to mono, as Whisper expects
+    async decodeAudioFile(file, sampleRate = 16000) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('This browser cannot decode audio (Web Audio API unavailable).');
+        }
+        
+        let audioBuffer;
+        try {
+            audioBuffer = await new OfflineContextClass(1, 1, sampleRate).decodeAudioData(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error(`This browser cannot decode ${file.name}. Try converting it to WAV or MP3.`);
+        }
+        
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return samples;
+    }
+    
+    // fields are the upload fields (see getUploadFields); language and task are honoured here.
+    // English-only models always report English and cannot translate.
+    async transcribeLocally(file, onStatus = () => {}, signal = null, fields = this.getUploadFields()) {
+        // A single model instance is shared, so files are transcribed one after another
+        const previous = this.localTranscriptionQueue || Promise.resolve();
+        const run = previous.catch(() => {}).then(async () => {
+            this.throwIfCancelled(signal);
+            onStatus({ status: 'running', stage: 'decoding', progress: 0 });
+            const samples = await this.decodeAudioFile(file);
+            
+            this.throwIfCancelled(signal);
+            onStatus({ status: 'running', stage: 'loading model', progress: 0 });
+            const transcriber = await this.loadLocalTranscriber(onStatus);
+            
+            // 30 s windows with 5 s of overlap on each side advance 20 s at a time
+            const duration = samples.length / 16000;
+            const totalChunks = Math.max(1, Math.ceil(Math.max(0, duration - 30) / 20) + 1);
+            const multilingual = this.isLocalModelMultilingual();
+            const language = multilingual ? (fields.language === 'auto' ? null : fields.language) : 'en';
+            const translate = multilingual && fields.task === 'translate' && language !== 'en';
+            
+            const runPass = async (task, from, to) => {
+                let doneChunks = 0;
+                onStatus({ status: 'running', stage: task === 'translate' ? 'translating' : 'transcribing', progress: from });
+                const output = await transcriber(samples, {
+                    chunk_length_s: 30,
+                    stride_length_s: 5,
+                    return_timestamps: true,
+                    ...(multilingual ? { task: task, ...(language ? { language: language } : {}) } : {}),
+                    chunk_callback: () => {
+                        this.throwIfCancelled(signal);
+                        doneChunks++;
+                        onStatus({ status: 'running', stage: task === 'translate' ? 'translating' : 'transcribing', progress: from + (to - from) * Math.min(1, doneChunks / totalChunks) });
+                    }
+                });
+                
+                const segments = (output.chunks || [])
+                    .filter(chunk => chunk.text && chunk.text.trim())
+                    .map(chunk => ({
+                        start: chunk.timestamp[0],
+                        end: chunk.timestamp[1] === null ? duration : chunk.timestamp[1],
+                        text: chunk.text.trim()
+                    }));
+                return { text: (output.text || '').trim(), segments };
+            };
+            
+            const original = await runPass('transcribe', 0.3, translate ? 0.65 : 1);
+            let translation = null;
+            if (translate) {
+                this.throwIfCancelled(signal);
+                translation = { language: 'en', ...(await runPass('translate', 0.65, 1)) };
+            }
+            
+            onStatus({ status: 'done', progress: 1 });
+            // transformers.js does not report the language it detected, so "auto" leaves it unknown
+            return { result: original.text, segments: original.segments, language, translation };
+        });
+        
+        this.localTranscriptionQueue = run;
+        return run;
+    }
+    
+    async clearModelCache() {
+        if (!window.caches) return;
+        
+        try {
+            const deleted = await caches.delete(TRANSFORMERS_CACHE_NAME);
+            this.localTranscriber = null;
+            this.showSuccess(deleted ? 'Cached speech models removed.' : 'No cached speech models found.');
+        } catch (error) {
+            this.showError(`Failed to clear the model cache: ${error.message}`);
+        }
+    }
+    
+    // Audio editor methods
+    // An uploaded audio file can be trimmed before it is processed: fileData.edit holds the regions
+    // to keep (null keeps the whole file) and an optional chunk length. The kept audio is cut into
+    // WAV parts that are transcribed one after another, and the segment times are mapped back onto
+    // the original file so playback and captions still line up.
+    async openAudioEditor(fileId) {
+        const fileData = this.uploadedFiles.find(file => file.id === fileId);
+        if (!fileData || !fileData.file || !fileData.type.startsWith('audio/')) return;
+        if (['queued', 'processing'].includes(fileData.status)) {
+            this.showError('Wait for the file to finish processing before editing it.');
+            return;
+        }
+        
+        this.closeAudioEditor();
+        this.audioEditorPanel.classList.add('open');
+        this.audioEditorTitle.textContent = fileData.name;
+        this.audioEditorInfo.textContent = 'Decoding audio...';
+        const loading = { fileId: fileId };
+        this.audioEditorLoading = loading;
+        
+        let samples;
+        try {
+            samples = await this.decodeAudioFile(fileData.file, SPEECH_SAMPLE_RATE);
+        } catch (error) {
+            if (this.audioEditorLoading !== loading) return;
+            this.closeAudioEditor();
+            this.showError(error.message);
+            return;
+        }
+        
+        // The editor was closed, another file was opened or this one was removed while decoding
+        if (this.audioEditorLoading !== loading) return;
+        this.audioEditorLoading = null;
+        if (!this.audioEditorPanel.classList.contains('open') || !this.uploadedFiles.includes(fileData)) {
+            this.closeAudioEditor();
+            return;
+        }
+        
+        const duration = samples.length / SPEECH_SAMPLE_RATE;
+        const edit = fileData.edit || { regions: null, chunkSeconds: 0 };
+        this.audioEditor = {
+            fileId: fileId,
+            samples: samples,
+            duration: duration,
+            regions: edit.regions ? edit.regions.map(region => ({ ...region })) : null,
+            chunkSeconds: edit.chunkSeconds,
+            view: { start: 0, end: duration },
+            selection: null,
+            dragStart: null,
+            peaks: null,
+            previewSource: null
+        };
+        this.chunkLengthSelect.value = String(edit.chunkSeconds);
+        this.updateAudioEditor();
+    }
+    
+    closeAudioEditor() {
+        this.stopAudioPreview();
+        this.audioEditor = null;
+        this.audioEditorLoading = null;
+        this.audioEditorPanel.classList.remove('open');
+    }
+    
+    // Store the edit on the file; an edited file that was already processed is processed again
+    applyAudioEdit() {
+        const editor = this.audioEditor;
+        if (!editor) return;
+        const fileData = this.uploadedFiles.find(file => file.id === editor.fileId);
+        if (!fileData) return;
+        
+        const regions = editor.regions;
+        if (regions && regions.length === 0) {
+            this.showError('Nothing is left to transcribe. Keep a selection or reset the edit.');
+            return;
+        }
+        
+        fileData.edit = regions || editor.chunkSeconds > 0 ?
+            { regions: regions, chunkSeconds: editor.chunkSeconds, duration: editor.duration } : null;
+        if (['completed', 'error', 'cancelled'].includes(fileData.status)) {
+            fileData.status = 'pending';
+        }
+        
+        this.closeAudioEditor();
+        this.updateFileList();
+        this.showSuccess(fileData.edit ? `Edit saved for ${fileData.name}. Process the file to transcribe it.` : `${fileData.name} will be transcribed in full.`);
+    }
+    
+    resetAudioEdit() {
+        if (!this.audioEditor) return;
+        this.audioEditor.regions = null;
+        this.audioEditor.chunkSeconds = 0;
+        this.audioEditor.selection = null;
+        this.chunkLengthSelect.value = '0';
+        this.updateAudioEditor();
+    }
+    
+    // The first Keep narrows an unedited file down to the selection; later ones add to it
+    keepSelection() {
+        const editor = this.audioEditor;
+        if (!editor || !editor.selection) return;
+        editor.regions = this.normalizeRegions([...(editor.regions || []), editor.selection]);
+        editor.selection = null;
+        this.updateAudioEditor();
+    }
+    
+    cutSelection() {
+        const editor = this.audioEditor;
+        if (!editor || !editor.selection) return;
+        editor.regions = this.subtractRegion(this.getKeptRegions(), editor.selection);
+        editor.selection = null;
+        this.updateAudioEditor();
+    }
+    
+    // Cut pauses longer than SILENCE_DETECTION.minSilenceSeconds, leaving a little padding around speech.
+    // The threshold is relative to the file's loud passages, so quiet recordings still work.
+    removeSilence() {
+        const editor = this.audioEditor;
+        if (!editor) return;
+        
+        const { windowSeconds, minSilenceSeconds, paddingSeconds, relativeThreshold, minThreshold } = SILENCE_DETECTION;
+        const windowSize = Math.round(windowSeconds * SPEECH_SAMPLE_RATE);
+        const levels = [];
+        for (let offset = 0; offset < editor.samples.length; offset += windowSize) {
+            const end = Math.min(editor.samples.length, offset + windowSize);
+            let sum = 0;
+            for (let i = offset; i < end; i++) {
+                sum += editor.samples[i] * editor.samples[i];
+            }
+            levels.push(Math.sqrt(sum / (end - offset)));
+        }
+        
+        const sorted = [...levels].sort((a, b) => a - b);
+        const loud = sorted[Math.floor(sorted.length * 0.95)] || 0;
+        const threshold = Math.max(minThreshold, loud * relativeThreshold);
+        
+        let regions = this.getKeptRegions();
+        let cuts = 0;
+        let silenceStart = null;
+        levels.concat([Infinity]).forEach((level, index) => {
+            if (level < threshold) {
+                if (silenceStart === null) silenceStart = index;
+                return;
+            }
+            if (silenceStart !== null && (index - silenceStart) * windowSeconds >= minSilenceSeconds) {
+                const start = silenceStart === 0 ? 0 : silenceStart * windowSeconds + paddingSeconds;
+                const end = index === levels.length ? editor.duration : index * windowSeconds - paddingSeconds;
+                regions = this.subtractRegion(regions, { start, end });
+                cuts++;
+            }
+            silenceStart = null;
+        });
+        
+        editor.regions = regions;
+        this.updateAudioEditor();
+        this.showSuccess(cuts > 0 ? `Removed ${cuts} silent stretch${cuts > 1 ? 'es' : ''}.` : 'No long silences found.');
+    }
+    
+    setChunkLength(seconds) {
+        if (!this.audioEditor) return;
+        this.audioEditor.chunkSeconds = seconds;
+        this.updateAudioEditor();
+    }
+    
+    zoomToSelection() {
+        const editor = this.audioEditor;
+        if (!editor || !editor.selection) return;
+        editor.view = { ...editor.selection };
+        editor.selection = null;
+        this.updateAudioEditor();
+    }
+    
+    zoomOut() {
+        if (!this.audioEditor) return;
+        this.audioEditor.view = { start: 0, end: this.audioEditor.duration };
+        this.updateAudioEditor();
+    }
+    
+    // Play the selection, or the visible part of the waveform, with Web Audio
+    toggleAudioPreview() {
+        const editor = this.audioEditor;
+        if (!editor) return;
+        if (editor.previewSource) {
+            this.stopAudioPreview();
+            return;
+        }
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.previewContext = this.previewContext || new AudioContextClass();
+        const buffer = this.previewContext.createBuffer(1, editor.samples.length, SPEECH_SAMPLE_RATE);
+        buffer.copyToChannel(editor.samples, 0);
+        
+        const range = editor.selection || editor.view;
+        const source = this.previewContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.previewContext.destination);
+        source.onended = () => {
+            if (editor.previewSource === source) this.stopAudioPreview();
+        };
+        source.start(0, range.start, range.end - range.start);
+        editor.previewSource = source;
+        this.previewAudioBtn.textContent = '⏹️ Stop';
+    }
+    
+    stopAudioPreview() {
+        const editor = this.audioEditor;
+        if (editor && editor.previewSource) {
+            const source = editor.previewSource;
+            editor.previewSource = null;
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // already ended
+            }
+        }
+        this.previewAudioBtn.textContent = '▶️ Play';
+    }
+    
+    getKeptRegions() {
+        const editor = this.audioEditor;
+        return editor.regions ? editor.regions : [{ start: 0, end: editor.duration }];
+    }
+    
+    // Sort and merge overlapping regions, dropping slivers too short to hold a word
+    normalizeRegions(regions) {
+        const merged = [];
+        [...regions].sort((a, b) => a.start - b.start).forEach(region => {
+            const last = merged[merged.length - 1];
+            if (last && region.start <= last.end) {
+                last.end = Math.max(last.end, region.end);
+            } else {
+                merged.push({ start: region.start, end: region.end });
+            }
+        });
+        return merged.filter(region => region.end - region.start >= 0.1);
+    }
+    
+    subtractRegion(regions, cut) {
+        const pieces = [];
+        regions.forEach(region => {
+            if (cut.end <= region.start || cut.start >= region.end) {
+                pieces.push(region);
+                return;
+            }
+            if (cut.start > region.start) pieces.push({ start: region.start, end: cut.start });
+            if (cut.end < region.end) pieces.push({ start: cut.end, end: region.end });
+        });
+        return this.normalizeRegions(pieces);
+    }
+    
+    // Split the kept regions into parts of at most chunkSeconds of audio each (0: one part)
+    getAudioChunks(regions, chunkSeconds) {
+        if (!chunkSeconds) return [regions];
+        
+        const chunks = [[]];
+        let filled = 0;
+        regions.forEach(region => {
+            let start = region.start;
+            while (start < region.end) {
+                if (filled >= chunkSeconds) {
+                    chunks.push([]);
+                    filled = 0;
+                }
+                const end = Math.min(region.end, start + chunkSeconds - filled);
+                chunks[chunks.length - 1].push({ start, end });
+                filled += end - start;
+                start = end;
+            }
+        });
+        return chunks;
+    }
+    
+    // Join the regions' samples into one clip
+    buildAudioClip(samples, regions, sampleRate) {
+        const ranges = regions.map(region => [
+            Math.floor(region.start * sampleRate),
+            Math.min(samples.length, Math.ceil(region.end * sampleRate))
+        ]);
+        const clip = new Float32Array(ranges.reduce((total, [start, end]) => total + Math.max(0, end - start), 0));
+        let offset = 0;
+        ranges.forEach(([start, end]) => {
+            if (end <= start) return;
+            clip.set(samples.subarray(start, end), offset);
+            offset += end - start;
+        });
+        return clip;
+    }
+    
+    // Convert a time in a clip built from regions back to the original file's timeline
+    mapClipTime(regions, time) {
+        let offset = 0;
+        for (const region of regions) {
+            const length = region.end - region.start;
+            if (time <= offset + length) {
+                return region.start + Math.max(0, time - offset);
+            }
+            offset += length;
+        }
+        const last = regions[regions.length - 1];
+        return last ? last.end : time;
+    }
+    
+    // Transcribe the kept audio part by part and combine the results as if the file had been sent whole
+    async transcribeEditedAudio(file, edit, onStatus = () => {}, signal = null) {
+        // The editor needs decoded samples to cut; the cleanup still follows the preprocessing setting
+        const { samples, cleaned } = await this.loadSpeechAudio(file, onStatus, signal, this.settings.preprocessAudio);
+        const fields = this.getUploadFields(cleaned ? { denoise: 'false' } : {});
+        const regions = edit.regions || [{ start: 0, end: samples.length / SPEECH_SAMPLE_RATE }];
+        const chunks = this.getAudioChunks(regions, edit.chunkSeconds);
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        
+        const texts = [];
+        const segments = [];
+        const translationTexts = [];
+        const translationSegments = [];
+        let language = null;
+        let translationLanguage = null;
+        
+        for (let index = 0; index < chunks.length; index++) {
+            this.throwIfCancelled(signal);
+            
+            const clip = this.buildAudioClip(samples, chunks[index], SPEECH_SAMPLE_RATE);
+            const partName = chunks.length > 1 ? `${baseName} (part ${index + 1} of ${chunks.length}).wav` : `${baseName} (trimmed).wav`;
+            const partFile = await this.encodeSpeechFile(clip, partName, signal);
+            
+            const data = await this.transcribeAudio(partFile, (job) => {
+                onStatus({
+                    ...job,
+                    status: job.status === 'done' && index < chunks.length - 1 ? 'running' : job.status,
+                    stage: chunks.length > 1 ? `part ${index + 1}/${chunks.length}${job.stage ? `: ${job.stage}` : ''}` : job.stage,
+                    progress: (index + (job.progress || 0)) / chunks.length
+                });
+            }, signal, fields);
+            
+            const mapSegments = (items) => (items || []).map(segment => ({
+                ...segment,
+                start: this.mapClipTime(chunks[index], segment.start),
+                end: this.mapClipTime(chunks[index], segment.end)
+            }));
+            
+            texts.push((data.result || '').trim());
+            segments.push(...mapSegments(data.segments));
+            language = language || data.language || null;
+            if (data.translation) {
+                translationLanguage = data.translation.language;
+                translationTexts.push((data.translation.text || '').trim());
+                translationSegments.push(...mapSegments(data.translation.segments));
+            }
+        }
+        
+        return {
+            result: texts.filter(Boolean).join('\n\n'),
+            segments: segments,
+            language: language,
+            translation: translationLanguage ? {
+                language: translationLanguage,
+                text: translationTexts.filter(Boolean).join('\n\n'),
+                segments: translationSegments
+            } : null
+        };
+    }
+    
+    // "✂️ 12:30 of 2:00:00 • 3 parts" for the file list
+    describeAudioEdit(edit) {
+        if (!edit) return null;
+        const duration = edit.duration;
+        const regions = edit.regions || [{ start: 0, end: duration }];
+        const kept = regions.reduce((total, region) => total + region.end - region.start, 0);
+        const parts = this.getAudioChunks(regions, edit.chunkSeconds).length;
+        return `✂️ ${this.formatDuration(kept)}${edit.regions ? ` of ${this.formatDuration(duration)}` : ''}${parts > 1 ? ` • ${parts} parts` : ''}`;
+    }
+    
+    updateAudioEditor() {
+        const editor = this.audioEditor;
+        if (!editor) return;
+        
+        const regions = this.getKeptRegions();
+        const kept = regions.reduce((total, region) => total + region.end - region.start, 0);
+        const parts = this.getAudioChunks(regions, editor.chunkSeconds).length;
+        const selection = editor.selection ?
+            `Selection ${this.formatDuration(editor.selection.start)}–${this.formatDuration(editor.selection.end)} • ` : '';
+        this.audioEditorInfo.textContent = `${selection}Keeping ${this.formatDuration(kept)} of ${this.formatDuration(editor.duration)}${parts > 1 ? ` in ${parts} parts` : ''}`;
+        
+        this.keepSelectionBtn.disabled = !editor.selection;
+        this.cutSelectionBtn.disabled = !editor.selection;
+        this.zoomSelectionBtn.disabled = !editor.selection;
+        this.zoomOutBtn.disabled = editor.view.start === 0 && editor.view.end === editor.duration;
+        this.drawWaveform();
+    }
+    
+    // Min/max per pixel column of the visible range; cached because long files take a while to scan
+    getWaveformPeaks(width) {
+        const editor = this.audioEditor;
+        const key = `${editor.view.start}:${editor.view.end}:${width}`;
+        if (editor.peaks && editor.peaks.key === key) return editor.peaks.values;
+        
+        const first = Math.floor(editor.view.start * SPEECH_SAMPLE_RATE);
+        const last = Math.min(editor.samples.length, Math.ceil(editor.view.end * SPEECH_SAMPLE_RATE));
+        const perColumn = Math.max(1, (last - first) / width);
+        const values = new Float32Array(width * 2);
+        for (let x = 0; x < width; x++) {
+            const start = first + Math.floor(x * perColumn);
+            const end = Math.min(last, Math.max(start + 1, first + Math.floor((x + 1) * perColumn)));
+            let min = 0;
+            let max = 0;
+            for (let i = start; i < end; i++) {
+                const sample = editor.samples[i];
+                if (sample < min) min = sample;
+                if (sample > max) max = sample;
+            }
+            values[x * 2] = min;
+            values[x * 2 + 1] = max;
+        }
+        
+        editor.peaks = { key, values };
+        return values;
+    }
+    
+    drawWaveform() {
+        const editor = this.audioEditor;
+        const canvas = this.waveformCanvas;
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!editor || !context) return;
+        
+        const width = canvas.width = Math.max(1, canvas.clientWidth || 600);
+        const height = canvas.height = 120;
+        const middle = height / 2;
+        const viewLength = editor.view.end - editor.view.start;
+        const toX = (time) => (time - editor.view.start) / viewLength * width;
+        
+        context.clearRect(0, 0, width, height);
+        
+        // Audio that will be left out is shaded
+        context.fillStyle = 'rgba(0, 0, 0, 0.08)';
+        context.fillRect(0, 0, width, height);
+        context.fillStyle = 'rgba(102, 126, 234, 0.12)';
+        this.getKeptRegions().forEach(region => {
+            context.fillRect(toX(region.start), 0, toX(region.end) - toX(region.start), height);
+        });
+        
+        const peaks = this.getWaveformPeaks(width);
+        context.fillStyle = '#667eea';
+        for (let x = 0; x < width; x++) {
+            const top = middle - peaks[x * 2 + 1] * middle;
+            const bottom = middle - peaks[x * 2] * middle;
+            context.fillRect(x, top, 1, Math.max(1, bottom - top));
+        }
+        
+        // Part boundaries
+        const chunks = this.getAudioChunks(this.getKeptRegions(), editor.chunkSeconds);
+        context.strokeStyle = '#764ba2';
+        context.setLineDash([4, 4]);
+        chunks.slice(1).forEach(chunk => {
+            const x = toX(chunk[0].start);
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.stroke();
+        });
+        context.setLineDash([]);
+        
+        if (editor.selection) {
+            context.fillStyle = 'rgba(255, 193, 7, 0.35)';
+            context.fillRect(toX(editor.selection.start), 0, toX(editor.selection.end) - toX(editor.selection.start), height);
+        }
+    }
+    
+    getWaveformTime(e) {
+        const editor = this.audioEditor;
+        const rect = this.waveformCanvas.getBoundingClientRect();
+        const fraction = rect.width > 0 ? Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) : 0;
+        return editor.view.start + fraction * (editor.view.end - editor.view.start);
+    }
+    
+    // Drag across the waveform to select; a click without a drag clears the selection
+    handleWaveformPointer(e) {
+        const editor = this.audioEditor;
+        if (!editor) return;
+        
+        if (e.type === 'pointerdown') {
+            editor.dragStart = this.getWaveformTime(e);
+            editor.selection = null;
+            if (this.waveformCanvas.setPointerCapture) this.waveformCanvas.setPointerCapture(e.pointerId);
+        } else if (editor.dragStart === null) {
+            return;
+        } else {
+            const time = this.getWaveformTime(e);
+            const selection = { start: Math.min(editor.dragStart, time), end: Math.max(editor.dragStart, time) };
+            editor.selection = selection.end - selection.start >= 0.1 ? selection : null;
+            if (e.type === 'pointerup') editor.dragStart = null;
+        }
+        this.updateAudioEditor();
+    }
+    
+    // Audio preprocessing methods
+    // Before upload, audio is decoded in the browser, mixed down to mono, resampled to 16 kHz,
+    // cleaned up (cleanSpeechAudio in processing.js) and encoded as WAV. That is all Whisper uses,
+    // so uploads get smaller, and any container the browser can decode is accepted.
+    // cleanup: false only decodes, for callers that need samples even with preprocessing off.
+    async loadSpeechAudio(file, onStatus = () => {}, signal = null, cleanup = true) {
+        const samples = await this.decodeAudioFile(file, SPEECH_SAMPLE_RATE);
+        const { noiseReduction, normalizeLoudness } = this.settings;
+        if (!cleanup || (!noiseReduction && !normalizeLoudness)) {
+            return { samples: samples, cleaned: false };
+        }
+        
+        this.throwIfCancelled(signal);
+        const result = await this.runProcessingTask('cleanSpeechAudio', {
+            samples: samples,
+            sampleRate: SPEECH_SAMPLE_RATE,
+            noiseReduction: noiseReduction,
+            normalizeLoudness: normalizeLoudness
+        }, {
+            transfer: [samples.buffer],
+            signal: signal,
+            onProgress: (fraction) => onStatus({ status: 'running', stage: 'cleaning up audio', progress: fraction })
+        });
+        // cleaned tells the backend its own noise reduction is not needed
+        return { samples: result.samples, cleaned: noiseReduction };
+    }
+    
+    async encodeSpeechFile(samples, name, signal = null) {
+        const { buffer } = await this.runProcessingTask('encodeWav', { channels: [samples], sampleRate: SPEECH_SAMPLE_RATE }, {
+            transfer: [samples.buffer],
+            signal: signal
+        });
+        return new File([buffer], name, { type: 'audio/wav' });
+    }
+    
+    // Returns the file to transcribe and the upload fields to override
+    async preprocessAudioFile(file, onStatus = () => {}, signal = null) {
+        if (!this.settings.preprocessAudio) {
+            return { file: file, fields: {} };
+        }
+        
+        let audio;
+        try {
+            audio = await this.loadSpeechAudio(file, onStatus, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            // The backend converts with ffmpeg, which reads more containers than some browsers
+            console.warn(`Uploading ${file.name} without preprocessing:`, error.message);
+            return { file: file, fields: {} };
+        }
+        
+        const wavFile = await this.encodeSpeechFile(audio.samples, `${file.name.replace(/\.[^.]+$/, '')}.wav`, signal);
+        return { file: wavFile, fields: audio.cleaned ? { denoise: 'false' } : {} };
+    }
+    
+    // Worker pool methods
+    // Parsing, unzipping and encoding run as ProcessingTasks in worker.js so large files don't
+    // freeze the UI. Without worker support the same tasks run on the main thread.
+    runProcessingTask(task, payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.generateId(),
+                task: task,
+                payload: payload,
+                transfer: options.transfer || [],
+                onProgress: options.onProgress || (() => {}),
+                signal: options.signal || null,
+                resolve: resolve,
+                reject: reject
+            };
+            
+            if (job.signal && job.signal.aborted) {
+                reject(this.createCancelError());
+            } else if (typeof Worker === 'undefined' || this.workersUnavailable) {
+                this.runTaskOnMainThread(job);
+            } else {
+                if (job.signal) {
+                    job.signal.addEventListener('abort', () => this.cancelWorkerJob(job), { once: true });
+                }
+                this.workerQueue.push(job);
+                this.dispatchWorkerJobs();
+            }
+        });
+    }
+    
+    runTaskOnMainThread(job) {
+        Promise.resolve()
+            .then(() => ProcessingTasks[job.task](job.payload, job.onProgress, job.signal))
+            .then(job.resolve, job.reject);
+    }
+    
+    getWorkerPoolSize() {
+        return Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    }
+    
+    // Hand queued jobs to idle workers, starting new workers up to the pool size
+    dispatchWorkerJobs() {
+        this.workerPool.forEach(entry => {
+            if (entry.ready && !entry.job && this.workerQueue.length > 0) {
+                const job = this.workerQueue.shift();
+                entry.job = job;
+                entry.worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+            }
+        });
+        
+        const starting = this.workerPool.filter(entry => !entry.ready).length;
+        let needed = Math.min(this.workerQueue.length - starting, this.getWorkerPoolSize() - this.workerPool.length);
+        while (needed-- > 0 && !this.workersUnavailable) {
+            this.createPoolWorker();
+        }
+    }
+    
+    createPoolWorker() {
+        const entry = { worker: null, ready: false, job: null };
+        try {
+            entry.worker = new Worker(PROCESSING_WORKER_URL);
+        } catch (error) {
+            // e.g. pages opened from file://, where workers cannot be created
+            this.disableWorkers(error.message);
+            return;
+        }
+        
+        entry.worker.onmessage = (event) => this.handleWorkerMessage(entry, event.data);
+        entry.worker.onerror = (event) => this.handleWorkerError(entry, event);
+        this.workerPool.push(entry);
+    }
+    
+    handleWorkerMessage(entry, message) {
+        if (!message || typeof message !== 'object') return;
+        
+        if (message.type === 'ready') {
+            entry.ready = true;
+            this.dispatchWorkerJobs();
+            return;
+        }
+        
+        const job = entry.job;
+        if (!job || message.id !== job.id) return; // pdf.js posts its own messages on the same port
+        
+        if (message.type === 'progress') {
+            job.onProgress(message.fraction);
+            return;
+        }
+        
+        entry.job = null;
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            const error = new Error(message.error.message);
+            error.name = message.error.name;
+            job.reject(error);
+        }
+        this.dispatchWorkerJobs();
+    }
+    
+    handleWorkerError(entry, event) {
+        event.preventDefault();
+        this.removePoolWorker(entry);
+        
+        if (!entry.ready) {
+            // worker.js or one of its libraries failed to load; nothing was sent to it yet
+            this.disableWorkers(event.message || 'worker failed to start');
+        } else if (entry.job) {
+            entry.job.reject(new Error(`Processing worker crashed: ${event.message || 'unknown error'}`));
+            this.dispatchWorkerJobs();
+        }
+    }
+    
+    // Queued jobs still own their buffers, so they can move to the main thread
+    disableWorkers(reason) {
+        console.warn('Web Workers unavailable; processing files on the main thread:', reason);
+        this.workersUnavailable = true;
+        
+        this.workerPool.slice().forEach(entry => {
+            if (!entry.job) this.removePoolWorker(entry);
+        });
+        const queued = this.workerQueue;
+        this.workerQueue = [];
+        queued.forEach(job => this.runTaskOnMainThread(job));
+    }
+    
+    removePoolWorker(entry) {
+        entry.worker.terminate();
+        this.workerPool = this.workerPool.filter(candidate => candidate !== entry);
+    }
+    
+    // A running job is cancelled by terminating its worker; a replacement starts if work is waiting
+    cancelWorkerJob(job) {
+        const queuedIndex = this.workerQueue.indexOf(job);
+        if (queuedIndex !== -1) {
+            this.workerQueue.splice(queuedIndex, 1);
+            job.reject(this.createCancelError());
+            return;
+        }
+        
+        const entry = this.workerPool.find(candidate => candidate.job === job);
+        if (entry) {
+            this.removePoolWorker(entry);
+            job.reject(this.createCancelError());
+            this.dispatchWorkerJobs();
+        }
+    }
+    
+    // Processing pipeline methods
+    // Files wait in a queue and up to processingConcurrency run at once. Each running file has
+    // its own AbortController, so it can be cancelled; failed or cancelled files can be retried.
+    processFiles() {
+        if (this.uploadedFiles.length === 0) return;
+        
+        let files = this.uploadedFiles.filter(fileData => !['completed', 'queued', 'processing'].includes(fileData.status));
+        if (files.length === 0 && !this.isProcessing) {
+            files = this.uploadedFiles; // everything is done already: run the whole batch again
+        }
+        this.enqueueFiles(files);
+    }
+    
+    // A new batch gets its own session unless it is a retry or dictation is filling the current one
+    enqueueFiles(files, newSession = true) {
+        if (files.length === 0) return;
+        
+        if (!this.isProcessing) {
+            this.clearMessages();
+            this.batchFiles = new Set();
+            const firstName = files[0].name;
+            const name = `Batch: ${firstName}${files.length > 1 ? ` +${files.length - 1} more` : ''}`;
+            if (newSession && !this.isRecording) {
+                this.beginSession(name);
+            } else {
+                this.ensureCurrentSession(name);
+            }
+        }
+        
+        files.forEach(fileData => {
+            fileData.status = 'queued';
+            fileData.error = null;
+            fileData.progress = 0;
+            this.batchFiles.add(fileData);
+            this.processingQueue.push(fileData);
+        });
+        
+        this.isProcessing = true;
+        this.updateFileList();
+        this.updateProcessingUI();
+        this.pumpProcessingQueue();
+    }
+    
+    pumpProcessingQueue() {
+        while (this.activeTasks.size < this.settings.processingConcurrency && this.processingQueue.length > 0) {
+            const fileData = this.processingQueue.shift();
+            if (fileData.status === 'queued') {
+                this.runFileTask(fileData);
+            }
+        }
+        
+        if (this.isProcessing && this.activeTasks.size === 0 && this.processingQueue.length === 0) {
+            this.finishProcessing();
+        }
+    }
+    
+    async runFileTask(fileData) {
+        const controller = new AbortController();
+        this.activeTasks.set(fileData.id, controller);
+        fileData.status = 'processing';
+        fileData.translation = null;
+        fileData.translationError = null;
+        this.updateFileList();
+        
+        try {
+            const result = await this.processFile(fileData.file, {
+                fileData: fileData,
+                signal: controller.signal,
+                onProgress: (fraction) => {
+                    fileData.progress = fraction;
+                    this.updateBatchProgress();
+                }
+            });
+            fileData.status = 'completed';
+            fileData.result = result;
+            this.recordProcessedFile(fileData, result);
+        } catch (error) {
+            if (controller.signal.aborted || error.name === 'AbortError') {
+                fileData.status = 'cancelled';
+                fileData.error = null;
+                fileData.result = null;
+                this.removeFileSegments(fileData);
+                this.processedFiles.delete(fileData.id);
+            } else {
+                console.error(`Error processing ${fileData.name}:`, error);
+                fileData.status = 'error';
+                fileData.error = error.message;
+                fileData.result = `Error: ${error.message}`;
+                this.recordProcessedFile(fileData, null);
+            }
+        } finally {
+            this.activeTasks.delete(fileData.id);
+            fileData.progress = 1;
+        }
+        
+        // Results join the transcript as each file finishes, after anything already dictated
+        this.refreshTranscriptView();
+        this.autoSaveTranscript();
+        this.updateFileList();
+        this.updateBatchProgress();
+        this.pumpProcessingQueue();
+    }
+    
+    finishProcessing() {
+        this.isProcessing = false;
+        this.updateProcessingUI();
+        
+        const files = [...this.batchFiles];
+        if (files.length === 0) return; // the queue was cleared
+        const failed = files.filter(fileData => fileData.status === 'error').length;
+        const cancelled = files.filter(fileData => fileData.status === 'cancelled').length;
+        const cancelledNote = cancelled > 0 ? `, ${cancelled} cancelled` : '';
+        
+        if (failed > 0) {
+            this.showError(`Processed ${files.length} file(s), ${failed} failed${cancelledNote}. See the file list for details.`);
+        } else if (cancelled > 0) {
+            this.showSuccess(`Processed ${files.length - cancelled} file(s)${cancelledNote}.`);
+        } else {
+            this.showSuccess(`Successfully processed ${files.length} file(s)!`);
+        }
+        
+        console.log(`Processed ${files.length} files (${failed} failed${cancelledNote})`);
+    }
+    
+    cancelFile(fileId) {
+        const fileData = this.uploadedFiles.find(file => file.id === fileId);
+        if (!fileData) return;
+        
+        if (fileData.status === 'queued') {
+            fileData.status = 'cancelled';
+            fileData.progress = 1;
+            this.updateFileList();
+            this.updateBatchProgress();
+            this.pumpProcessingQueue();
+        }
+        
+        const controller = this.activeTasks.get(fileId);
+        if (controller) {
+            controller.abort();
+        }
+    }
+    
+    cancelAllProcessing() {
+        this.uploadedFiles.forEach(fileData => {
+            if (fileData.status === 'queued' || fileData.status === 'processing') {
+                this.cancelFile(fileData.id);
+            }
+        });
+    }
+    
+    retryFile(fileId) {
+        const fileData = this.uploadedFiles.find(file => file.id === fileId);
+        if (fileData && (fileData.status === 'error' || fileData.status === 'cancelled')) {
+            this.enqueueFiles([fileData], false);
+        }
+    }
+    
+    updateProcessingUI() {
+        this.processBtn.disabled = this.uploadedFiles.length === 0;
+        this.cancelAllBtn.style.display = this.isProcessing ? 'block' : 'none';
+        this.progressBar.style.display = this.isProcessing ? 'block' : 'none';
+        this.updateBatchProgress();
+    }
+    
+    // Weight every file's own progress (pages, entries, job progress) by its size in bytes
+    updateBatchProgress() {
+        let totalBytes = 0;
+        let doneBytes = 0;
+        this.batchFiles.forEach(fileData => {
+            const bytes = Math.max(1, fileData.file ? fileData.file.size : 0);
+            const fraction = ['completed', 'error', 'cancelled'].includes(fileData.status) ? 1 : fileData.progress || 0;
+            totalBytes += bytes;
+            doneBytes += bytes * Math.min(1, fraction);
+        });
+        this.updateProgress(totalBytes > 0 ? (doneBytes / totalBytes) * 100 : 0);
+    }
+    
+    // Resolve after ms, or reject as soon as the signal aborts
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createCancelError());
+                return;
+            }
+            
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createCancelError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    
+    throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw this.createCancelError();
+        }
+    }
+    
+    createCancelError() {
+        const error = new Error('Cancelled.');
+        error.name = 'AbortError';
+        return error;
+    }
+    
+    // Process individual file based on type
+    async processFile(file, options = {}) {
+        const fileType = this.getMediaType(file);
+        const onProgress = options.onProgress || (() => {});
+        
+        let content;
+        if (fileType.startsWith('audio/')) {
+            content = await this.processAudioFile(file, options);
+        } else if (fileType === 'text/plain') {
+            content = await this.processTextFile(file);
+        } else if (fileType === 'application/pdf') {
+            content = await this.processPDFFile(file, onProgress, options.signal);
+        } else if (fileType.includes('wordprocessingml')) {
+            content = await this.processDocxFile(file, onProgress, options.signal);
+        } else if (fileType.includes('zip')) {
+            // Archives are translated entry by entry
+            // Nested archives found while unpacking in the browser stay in the browser
+            if (this.settings.zipProcessing === 'backend' && !options.depth) {
+                return await this.processZipOnBackend(file, options);
+            }
+            return await this.processZipFile(file, options);
+        } else {
+            throw new Error('Unsupported file type');
+        }
+        
+        if (options.fileData) {
+            // Documents take the configured file language; audio reports the language Whisper heard
+            if (!fileType.startsWith('audio/')) {
+                options.fileData.language = this.settings.fileLanguage === 'auto' ? null : this.settings.fileLanguage;
+            }
+            await this.translateFileResult(options.fileData, content, options.signal);
+        }
+        return content;
+    }
+    
+    // Transcribe audio files with Whisper, on the backend or in the browser (see Settings)
+    async processAudioFile(file, options = {}) {
+        const fileData = options.fileData;
+        const onProgress = options.onProgress || (() => {});
+        
+        const onStatus = (job) => {
+            onProgress(job.progress || 0);
+            if (fileData) {
+                fileData.progressLabel = this.getJobStatusLabel(job);
+                this.updateFileList();
+            }
+        };
+        
+        let data;
+        try {
+            if (fileData && fileData.edit) {
+                data = await this.transcribeEditedAudio(file, fileData.edit, onStatus, options.signal);
+            } else {
+                const prepared = await this.preprocessAudioFile(file, onStatus, options.signal);
+                data = await this.transcribeAudio(prepared.file, onStatus, options.signal, this.getUploadFields(prepared.fields));
+            }
+        } finally {
+            if (fileData) fileData.progressLabel = null;
+        }
+        
+        // Whisper output gets the same vocabulary replacements as dictation
+        const segments = Array.isArray(data.segments) ?
+            data.segments.map(segment => ({ ...segment, text: this.applyVocabulary(segment.text) })) : null;
+        if (fileData) {
+            fileData.segments = segments;
+            fileData.language = data.language || null;
+            fileData.translation = data.translation || null;
+        }
+        const timestamp = this.formatTimestamp(new Date());
+        return `${timestamp}Transcription of: ${file.name}
+
+${this.applyVocabulary(data.result.trim())}`;
+    }
+    
+    // Process text files
+    async processTextFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const content = e.target.result;
+                const timestamp = this.formatTimestamp(new Date());
+                resolve(`${timestamp}Text file content from: ${file.name}
+
+${content}`);
+            };
+            reader.onerror = () => {
+                reject(new Error('Failed to read text file'));
+            };
+            reader.readAsText(file, 'UTF-8');
+        });
+    }
+    
+    // Extract text from PDF files page by page with pdf.js
+    async processPDFFile(file, onProgress = () => {}, signal = null) {
+        if (!window.pdfjsLib) {
+            throw new Error('PDF support is unavailable because pdf.js failed to load.');
+        }
+        
+        const buffer = await file.arrayBuffer();
+        let pdf;
+        try {
+            pdf = await this.runProcessingTask('extractPdfText', { buffer }, { transfer: [buffer], onProgress, signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            if (error.name === 'PasswordException') {
+                throw new Error('This PDF is password-protected. Remove the password and try again.');
+            }
+            if (error.name === 'InvalidPDFException') {
+                throw new Error('This file is not a valid PDF or is damaged.');
+            }
+            throw new Error(`Failed to read PDF: ${error.message}`);
+        }
+        
+        const pages = pdf.pages;
+        if (pages.every(text => !text)) {
+            throw new Error('No extractable text found. This PDF appears to contain only scanned images; run it through OCR first.');
+        }
+        
+        const content = this.settings.pdfPageMarkers ?
+            pages.map((text, index) => `--- Page ${index + 1} ---\n${text}`).join('\n\n') :
+            pages.filter(text => text).join('\n\n');
+        const timestamp = this.formatTimestamp(new Date());
+        return `${timestamp}PDF file content from: ${file.name} (${pdf.numPages} page${pdf.numPages > 1 ? 's' : ''})
+
+${content}`;
+    }
+    
+    // Extract DOCX body, headings, lists, tables, notes and headers/footers with JSZip
+    async processDocxFile(file, onProgress = () => {}, signal = null) {
+        if (!window.JSZip) {
+            throw new Error('DOCX support is unavailable because JSZip failed to load.');
+        }
+        
+        const buffer = await file.arrayBuffer();
+        let parts;
+        try {
+            ({ parts } = await this.runProcessingTask('readDocxParts', { buffer }, {
+                transfer: [buffer],
+                onProgress: (fraction) => onProgress(fraction * 0.2),
+                signal
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new Error('This file is not a valid DOCX document or is damaged.');
+        }
+        
+        const readXml = async (path) => {
+            this.throwIfCancelled(signal);
+            if (!parts[path]) return null;
+            return new DOMParser().parseFromString(parts[path], 'application/xml');
+        };
+        
+        const documentXml = await readXml('word/document.xml');
+        const body = documentXml && documentXml.getElementsByTagNameNS(DOCX_NS, 'body')[0];
+        if (!body) {
+            throw new Error('This DOCX file has no document body (word/document.xml is missing or invalid).');
+        }
+        onProgress(0.2);
+        
+        const context = {
+            markdown: this.settings.docxOutputFormat === 'markdown',
+            styles: this.parseDocxStyles(await readXml('word/styles.xml')),
+            numbering: this.parseDocxNumbering(await readXml('word/numbering.xml')),
+            notes: {
+                footnote: this.parseDocxNotes(await readXml('word/footnotes.xml'), 'footnote'),
+                endnote: this.parseDocxNotes(await readXml('word/endnotes.xml'), 'endnote')
+            },
+            noteReferences: [],
+            listCounters: {}
+        };
+        onProgress(0.4);
+        
+        const sections = [];
+        const headers = await this.renderDocxParts(parts, /^word\/header\d*\.xml$/, readXml, context);
+        if (headers) {
+            sections.push(context.markdown ? `**Header**\n\n${headers}\n\n---` : `--- Header ---\n${headers}`);
+        }
+        
+        const bodyText = this.renderDocxBlocks(body, context);
+        sections.push(bodyText);
+        onProgress(0.8);
+        
+        if (context.noteReferences.length > 0) {
+            const notes = context.noteReferences.map((reference, index) => {
+                const noteText = this.renderDocxBlocks(context.notes[reference.type][reference.id], context, true);
+                return context.markdown ? `[^${index + 1}]: ${noteText}` : `[${index + 1}] ${noteText}`;
+            });
+            sections.push(context.markdown ? notes.join('\n') : `--- Notes ---\n${notes.join('\n')}`);
+        }
+        
+        const footers = await this.renderDocxParts(parts, /^word\/footer\d*\.xml$/, readXml, context);
+        if (footers) {
+            sections.push(context.markdown ? `---\n\n**Footer**\n\n${footers}` : `--- Footer ---\n${footers}`);
+        }
+        onProgress(1);
+        
+        if (!bodyText.trim() && !headers && !footers) {
+            throw new Error('No text found in this DOCX document.');
+        }
+        
+        const timestamp = this.formatTimestamp(new Date());
+        return `${timestamp}DOCX file content from: ${file.name}
+
+${sections.join('\n\n')}`;
+    }
+    
+    // Render every header or footer part, skipping duplicates (first/even/default variants are often identical)
+    async renderDocxParts(parts, pattern, readXml, context) {
+        const paths = Object.keys(parts).filter(path => pattern.test(path)).sort();
+        const rendered = [];
+        
+        for (const path of paths) {
+            const xml = await readXml(path);
+            const root = xml && xml.documentElement;
+            const text = root ? this.renderDocxBlocks(root, context).trim() : '';
+            if (text && !rendered.includes(text)) {
+                rendered.push(text);
+            }
+        }
+        
+        return rendered.join('\n\n');
+    }
+    
+    // Map style ids to heading levels (from "heading N"/"Title" names or outline levels)
+    parseDocxStyles(stylesXml) {
+        const headingLevels = {};
+        if (!stylesXml) return headingLevels;
+        
+        Array.from(stylesXml.getElementsByTagNameNS(DOCX_NS, 'style')).forEach(style => {
+            const styleId = this.docxAttr(style, 'styleId');
+            const nameElement = this.docxChild(style, 'name');
+            const name = nameElement ? this.docxAttr(nameElement, 'val').toLowerCase() : '';
+            const headingMatch = name.match(/^heading (\d)$/);
+            const outlineLevel = this.docxFind(style, ['pPr', 'outlineLvl']);
+            
+            if (headingMatch) {
+                headingLevels[styleId] = parseInt(headingMatch[1], 10);
+            } else if (name === 'title') {
+                headingLevels[styleId] = 1;
+            } else if (outlineLevel) {
+                headingLevels[styleId] = parseInt(this.docxAttr(outlineLevel, 'val'), 10) + 1;
+            }
+        });
+        
+        return headingLevels;
+    }
+    
+    // Map numbering ids to the number format of each list level
+    parseDocxNumbering(numberingXml) {
+        const numbering = {};
+        if (!numberingXml) return numbering;
+        
+        const abstractFormats = {};
+        Array.from(numberingXml.getElementsByTagNameNS(DOCX_NS, 'abstractNum')).forEach(abstractNum => {
+            const levels = {};
+            Array.from(abstractNum.getElementsByTagNameNS(DOCX_NS, 'lvl')).forEach(level => {
+                const numFmt = this.docxChild(level, 'numFmt');
+                levels[this.docxAttr(level, 'ilvl')] = numFmt ? this.docxAttr(numFmt, 'val') : 'decimal';
+            });
+            abstractFormats[this.docxAttr(abstractNum, 'abstractNumId')] = levels;
+        });
+        
+        Array.from(numberingXml.getElementsByTagNameNS(DOCX_NS, 'num')).forEach(num => {
+            const abstractNumId = this.docxChild(num, 'abstractNumId');
+            numbering[this.docxAttr(num, 'numId')] = abstractNumId ?
+                abstractFormats[this.docxAttr(abstractNumId, 'val')] || {} : {};
+        });
+        
+        return numbering;
+    }
+    
+    // Index footnotes or endnotes by id, skipping the separator notes Word adds
+    parseDocxNotes(notesXml, tagName) {
+        const notes = {};
+        if (!notesXml) return notes;
+        
+        Array.from(notesXml.getElementsByTagNameNS(DOCX_NS, tagName)).forEach(note => {
+            const type = this.docxAttr(note, 'type');
+            if (type === 'separator' || type === 'continuationSeparator' || type === 'continuationNotice') return;
+            notes[this.docxAttr(note, 'id')] = note;
+        });
+        
+        return notes;
+    }
+    
+    // Render the block-level children (paragraphs, tables, content controls) of a container
+    renderDocxBlocks(container, context, inline = false) {
+        if (!container) return '';
+        
+        const blocks = [];
+        const collect = (element) => {
+            Array.from(element.children).forEach(child => {
+                if (child.namespaceURI !== DOCX_NS) return;
+                if (child.localName === 'p') {
+                    const block = this.renderDocxParagraph(child, context);
+                    if (block.text.trim()) blocks.push(block);
+                } else if (child.localName === 'tbl') {
+                    const text = this.renderDocxTable(child, context);
+                    if (text) blocks.push({ kind: 'table', text });
+                } else if (child.localName === 'sdt') {
+                    const content = this.docxChild(child, 'sdtContent');
+                    if (content) collect(content);
+                }
+            });
+        };
+        collect(container);
+        
+        if (inline) {
+            return blocks.map(block => block.text.trim()).join(' ');
+        }
+        
+        return blocks.map((block, index) => {
+            if (index === 0) return block.text;
+            const previous = blocks[index - 1];
+            if (previous.kind === 'list' && block.kind === 'list') return '\n' + block.text;
+            const spaced = context.markdown || [previous.kind, block.kind].some(kind => kind === 'table' || kind === 'heading');
+            return (spaced ? '\n\n' : '\n') + block.text;
+        }).join('');
+    }
+    
+    renderDocxParagraph(paragraph, context) {
+        const text = this.renderDocxRuns(paragraph, context);
+        const styleElement = this.docxFind(paragraph, ['pPr', 'pStyle']);
+        const headingLevel = styleElement ? context.styles[this.docxAttr(styleElement, 'val')] : null;
+        
+        if (headingLevel) {
+            const level = Math.min(6, headingLevel);
+            return { kind: 'heading', text: context.markdown ? `${'#'.repeat(level)} ${text.trim()}` : text.trim() };
+        }
+        
+        const numberingProperties = this.docxFind(paragraph, ['pPr', 'numPr']);
+        const numIdElement = numberingProperties && this.docxChild(numberingProperties, 'numId');
+        const numId = numIdElement ? this.docxAttr(numIdElement, 'val') : null;
+        if (numId && numId !== '0') {
+            const levelElement = this.docxChild(numberingProperties, 'ilvl');
+            const level = levelElement ? parseInt(this.docxAttr(levelElement, 'val'), 10) || 0 : 0;
+            const format = (context.numbering[numId] || {})[level] || 'bullet';
+            
+            // Restart deeper levels whenever a shallower item appears
+            const counters = context.listCounters[numId] = context.listCounters[numId] || [];
+            counters[level] = (counters[level] || 0) + 1;
+            counters.length = level + 1;
+            
+            const marker = format === 'bullet' ? (context.markdown ? '-' : '•') : `${counters[level]}.`;
+            return { kind: 'list', text: `${'  '.repeat(level)}${marker} ${text.trim()}` };
+        }
+        
+        return { kind: 'paragraph', text };
+    }
+    
+    // Concatenate run text in document order, including tabs, breaks and note references
+    renderDocxRuns(paragraph, context) {
+        let text = '';
+        
+        Array.from(paragraph.getElementsByTagNameNS(DOCX_NS, 'r')).forEach(run => {
+            let runText = '';
+            Array.from(run.children).forEach(child => {
+                if (child.namespaceURI !== DOCX_NS) return;
+                switch (child.localName) {
+                    case 't':
+                        runText += child.textContent;
+                        break;
+                    case 'tab':
+                        runText += '\t';
+                        break;
+                    case 'br':
+                    case 'cr':
+                        runText += '\n';
+                        break;
+                    case 'noBreakHyphen':
+                        runText += '-';
+                        break;
+                    case 'footnoteReference':
+                    case 'endnoteReference': {
+                        const type = child.localName === 'footnoteReference' ? 'footnote' : 'endnote';
+                        const id = this.docxAttr(child, 'id');
+                        if (!context.notes[type][id]) break;
+                        context.noteReferences.push({ type, id });
+                        const number = context.noteReferences.length;
+                        runText += context.markdown ? `[^${number}]` : `[${number}]`;
+                        break;
+                    }
+                }
+            });
+            
+            if (context.markdown && runText.trim()) {
+                const bold = this.docxIsOn(this.docxFind(run, ['rPr', 'b']));
+                const italic = this.docxIsOn(this.docxFind(run, ['rPr', 'i']));
+                const wrapper = (bold ? '**' : '') + (italic ? '*' : '');
+                if (wrapper) {
+                    const [, leading, core, trailing] = runText.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                    runText = `${leading}${wrapper}${core}${wrapper.split('').reverse().join('')}${trailing}`;
+                }
+            }
+            
+            text += runText;
+        });
+        
+        return text;
+    }
+    
+    // Render a table as a Markdown table or as padded plain-text columns
+    renderDocxTable(table, context) {
+        const rows = Array.from(table.children)
+            .filter(row => row.namespaceURI === DOCX_NS && row.localName === 'tr')
+            .map(row => Array.from(row.children)
+                .filter(cell => cell.namespaceURI === DOCX_NS && cell.localName === 'tc')
+                .map(cell => this.renderDocxBlocks(cell, context, true).replace(/\s+/g, ' ').trim()));
+        
+        if (rows.length === 0) return '';
+        
+        const columnCount = Math.max(...rows.map(row => row.length));
+        rows.forEach(row => {
+            while (row.length < columnCount) row.push('');
+        });
+        
+        if (context.markdown) {
+            const formatRow = (row) => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+            const separator = `| ${new Array(columnCount).fill('---').join(' | ')} |`;
+            return [formatRow(rows[0]), separator, ...rows.slice(1).map(formatRow)].join('\n');
+        }
+        
+        const widths = [];
+        for (let column = 0; column < columnCount; column++) {
+            widths.push(Math.max(...rows.map(row => row[column].length)));
+        }
+        const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+        const separator = widths.map(width => '-'.repeat(width)).join('-+-');
+        return [formatRow(rows[0]), separator, ...rows.slice(1).map(formatRow)].join('\n');
+    }
+    
+    // DOCX XML helpers
+    docxAttr(element, name) {
+        return element.getAttributeNS(DOCX_NS, name) || element.getAttribute(`w:${name}`) || '';
+    }
+    
+    docxChild(element, localName) {
+        return Array.from(element.children).find(child =>
+            child.namespaceURI === DOCX_NS && child.localName === localName) || null;
+    }
+    
+    docxFind(element, path) {
+        return path.reduce((current, localName) => current && this.docxChild(current, localName), element);
+    }
+    
+    // Toggle properties like <w:b/> are on unless w:val is "0", "false" or "none"
+    docxIsOn(element) {
+        if (!element) return false;
+        return !['0', 'false', 'none'].includes(this.docxAttr(element, 'val'));
+    }
+    
+    // Expand ZIP archives in the browser and process each supported entry recursively
+    async processZipFile(file, options = {}) {
+        if (!window.JSZip) {
+            throw new Error('ZIP support is unavailable because JSZip failed to load.');
+        }
+        
+        const parent = options.fileData || this.createFileData(file);
+        const depth = options.depth || 0;
+        const onProgress = options.onProgress || (() => {});
+        
+        if (depth >= ZIP_LIMITS.maxDepth) {
+            throw new Error(`Archives nested more than ${ZIP_LIMITS.maxDepth} levels deep are not processed.`);
+        }
+        
+        // Reading the central directory is cheap; inflating the entries happens in a worker below
+        const buffer = await file.arrayBuffer();
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (error) {
+            throw new Error('This file is not a valid ZIP archive or is damaged.');
+        }
+        
+        // Drop results left over from a previous run of this archive
+        this.removeFileSegments(parent);
+        this.removeChildFiles(parent);
+        
+        const { entries, skipped } = this.inspectZipEntries(zip);
+        skipped.forEach(({ path, reason }) => {
+            const skippedData = this.createFileData(null, {
+                name: path,
+                path: this.joinArchivePath(parent, path),
+                parentId: parent.id,
+                type: this.getFileType(path),
+                status: 'skipped',
+                error: reason
+            });
+            parent.children.push(skippedData);
+            this.recordProcessedFile(skippedData, null);
+        });
+        
+        const children = entries.map(entry => {
+            const childData = this.createFileData(null, {
+                name: entry.name,
+                path: this.joinArchivePath(parent, entry.name),
+                parentId: parent.id,
+                type: this.getFileType(entry.name)
+            });
+            childData.outputName = this.getArchiveOutputName(childData.path);
+            parent.children.push(childData);
+            return childData;
+        });
+        this.updateFileList();
+        
+        let extracted;
+        try {
+            ({ entries: extracted } = await this.runProcessingTask('unzipEntries', {
+                buffer: buffer,
+                names: entries.map(entry => entry.name),
+                maxEntrySize: ZIP_LIMITS.maxEntrySize,
+                maxTotalSize: ZIP_LIMITS.maxTotalSize,
+                maxCompressionRatio: ZIP_LIMITS.maxCompressionRatio
+            }, {
+                transfer: [buffer],
+                onProgress: (fraction) => onProgress(fraction * 0.2),
+                signal: options.signal
+            }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                children.forEach(childData => {
+                    childData.status = 'cancelled';
+                });
+                throw error;
+            }
+            throw new Error(`Failed to extract the archive: ${error.message}`);
+        }
+        
+        const results = [];
+        for (let i = 0; i < entries.length; i++) {
+            const childData = children[i];
+            const entry = extracted[i];
+            
+            if (entry.notExtracted) {
+                childData.status = 'skipped';
+                childData.error = 'Not extracted: archive size limit reached.';
+                this.recordProcessedFile(childData, null);
+                continue;
+            }
+            if (entry.tooLarge) {
+                childData.status = 'skipped';
+                childData.error = `Larger than ${this.formatFileSize(ZIP_LIMITS.maxEntrySize)} when extracted.`;
+                this.recordProcessedFile(childData, null);
+                continue;
+            }
+            
+            childData.status = 'processing';
+            this.updateFileList();
+            
+            try {
+                this.throwIfCancelled(options.signal);
+                if (entry.limitExceeded === 'ratio') {
+                    throw new Error('Suspicious compression ratio (possible zip bomb); remaining entries were not extracted.');
+                }
+                if (entry.limitExceeded) {
+                    throw new Error('Archive expands beyond the allowed size limit; remaining entries were not extracted.');
+                }
+                
+                const baseName = entry.name.split('/').pop();
+                childData.file = new File([entry.data], baseName, { type: childData.type });
+                childData.size = this.formatFileSize(entry.data.byteLength);
+                
+                const result = await this.processFile(childData.file, {
+                    fileData: childData,
+                    depth: depth + 1,
+                    signal: options.signal,
+                    onProgress: (fraction) => onProgress(0.2 + 0.8 * (i + fraction) / entries.length)
+                });
+                childData.status = 'completed';
+                childData.result = result;
+                this.recordProcessedFile(childData, result);
+                results.push(this.formatFileResult(childData.path, result));
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    children.slice(i).forEach(remaining => {
+                        remaining.status = 'cancelled';
+                    });
+                    throw error;
+                }
+                console.error(`Error processing ${childData.path}:`, error);
+                // An AbortError here means the entry's backend job was cancelled; the rest carries on
+                childData.status = error.name === 'AbortError' ? 'cancelled' : 'error';
+                childData.error = error.message;
+                childData.result = `Error: ${error.message}`;
+                this.recordProcessedFile(childData, null);
+                results.push(this.formatFileResult(childData.path, `Error: ${error.message}`, true));
+            }
+            
+            this.updateFileList();
+            onProgress(0.2 + 0.8 * (i + 1) / entries.length);
+        }
+        
+        const timestamp = this.formatTimestamp(new Date());
+        const summary = [`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} processed`];
+        if (skipped.length > 0) {
+            summary.push(`${skipped.length} skipped (${skipped.map(entry => entry.path).join(', ')})`);
+        }
+        
+        return `${timestamp}ZIP archive: ${file.name} (${summary.join(', ')})
+
+${results.join('\n\n')}`;
+    }
+    
+    // Send a whole archive to the backend and list its per-entry results under the archive
+    async processZipOnBackend(file, options = {}) {
+        const parent = options.fileData || this.createFileData(file);
+        const onProgress = options.onProgress || (() => {});
+        
+        let data;
+        try {
+            data = await this.transcribeOnBackend(file, (job) => {
+                parent.backendJobId = job.id; // for downloading the backend's results ZIP later
+                onProgress(job.progress || 0);
+                parent.progressLabel = this.getJobStatusLabel(job);
+                this.updateFileList();
+            }, options.signal);
+        } finally {
+            parent.progressLabel = null;
+        }
+        
+        if (!Array.isArray(data.entries)) {
+            throw new Error('Backend did not return per-file results for this archive.');
+        }
+        
+        this.removeFileSegments(parent);
+        this.removeChildFiles(parent);
+        
+        const results = [];
+        let skippedCount = 0;
+        let untranslatedCount = 0;
+        for (const entry of data.entries) {
+            const childData = this.createFileData(null, {
+                name: entry.path,
+                path: this.joinArchivePath(parent, entry.path),
+                parentId: parent.id,
+                type: this.getFileType(entry.path)
+            });
+            childData.outputName = this.getArchiveOutputName(childData.path);
+            parent.children.push(childData);
+            
+            if (entry.skipped) {
+                childData.status = 'skipped';
+                childData.error = entry.error;
+                skippedCount++;
+                this.recordProcessedFile(childData, null);
+            } else if (entry.error) {
+                childData.status = 'error';
+                childData.error = entry.error;
+                childData.result = `Error: ${entry.error}`;
+                this.recordProcessedFile(childData, null);
+                results.push(this.formatFileResult(childData.path, childData.result, true));
+            } else {
+                // The same post-processing processFile gives files handled in the browser:
+                // vocabulary replacements, then translation into the target language
+                childData.segments = Array.isArray(entry.segments) ?
+                    entry.segments.map(segment => ({ ...segment, text: this.applyVocabulary(segment.text) })) : null;
+                childData.language = childData.type.startsWith('audio/') ? entry.language || null :
+                    (this.settings.fileLanguage === 'auto' ? null : this.settings.fileLanguage);
+                childData.translation = entry.translation || null;
+                childData.result = this.applyVocabulary(entry.text || '');
+                await this.translateFileResult(childData, childData.result, options.signal);
+                if (childData.translationError) untranslatedCount++;
+                childData.status = 'completed';
+                this.recordProcessedFile(childData, childData.result);
+                results.push(this.formatFileResult(childData.path, childData.result));
+            }
+        }
+        this.updateFileList();
+        
+        // Shown next to the archive in the file list; each entry says why it was not translated
+        parent.translationError = untranslatedCount > 0 ?
+            `${untranslatedCount} entr${untranslatedCount === 1 ? 'y' : 'ies'} not translated into ${this.getLanguageName(this.settings.translateTo)}` : null;
+        
+        const processedCount = data.entries.length - skippedCount;
+        const timestamp = this.formatTimestamp(new Date());
+        return `${timestamp}ZIP archive: ${file.name} (${processedCount} entr${processedCount === 1 ? 'y' : 'ies'} processed on the backend${skippedCount > 0 ? `, ${skippedCount} skipped` : ''}${parent.translationError ? `, ${parent.translationError}` : ''})
+
+${results.join('\n\n')}`;
+    }
+    
+    // Download the backend's own results ZIP for an archive it processed (GET /api/jobs/<id>/results.zip);
+    // the backend keeps finished jobs for an hour
+    async downloadBackendResults(fileId) {
+        const fileData = this.findFileData(fileId);
+        if (!fileData || !fileData.backendJobId) return;
+        
+        try {
+            const response = await fetch(this.getApiEndpoint(`/api/jobs/${encodeURIComponent(fileData.backendJobId)}/results.zip`));
+            if (response.status === 404) {
+                throw new Error('The backend no longer has these results. Process the archive again.');
+            }
+            if (!response.ok) {
+                await this.parseApiResponse(response);
+            }
+            const blob = await response.blob();
+            this.downloadBlob(blob, `${fileData.name.replace(/\.zip$/i, '')}_results.zip`);
+        } catch (error) {
+            const message = error instanceof TypeError ? 'Could not reach the backend.' : error.message;
+            this.showError(`Failed to download the results ZIP: ${message}`);
+        }
+    }
+    
+    // Split archive entries into processable files and skipped ones, enforcing zip bomb and path safeguards
+    inspectZipEntries(zip) {
+        const entries = [];
+        const skipped = [];
+        
+        const files = Object.values(zip.files).filter(entry => !entry.dir);
+        if (files.length > ZIP_LIMITS.maxEntries) {
+            throw new Error(`Archive contains ${files.length} files; at most ${ZIP_LIMITS.maxEntries} are processed.`);
+        }
+        
+        files.forEach(entry => {
+            const originalName = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+            const segments = originalName.split('/');
+            
+            if (originalName.startsWith('/') || /^[a-zA-Z]:/.test(originalName) || segments.includes('..')) {
+                skipped.push({ path: originalName, reason: 'Unsafe path outside the archive.' });
+                return;
+            }
+            
+            // macOS resource forks and hidden files carry no user content
+            if (segments[0] === '__MACOSX' || segments.some(segment => segment.startsWith('.'))) {
+                return;
+            }
+            
+            if (!this.isValidFile({ name: entry.name, type: '' })) {
+                skipped.push({ path: entry.name, reason: 'Unsupported file type.' });
+                return;
+            }
+            
+            entries.push(entry);
+        });
+        
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        return { entries, skipped };
+    }
+    
+    joinArchivePath(parent, entryName) {
+        return parent.path ? `${parent.path}/${entryName}` : entryName;
+    }
+    
+    // Flatten folders with "_" like converter.process_zip_file so outputs match the Python backend
+    getArchiveOutputName(path) {
+        const flattened = path.replace(/\//g, '_');
+        const dotIndex = flattened.lastIndexOf('.');
+        return `${dotIndex > 0 ? flattened.slice(0, dotIndex) : flattened}.txt`;
+    }
+    
+    // Backend API methods
+    getApiEndpoint(path) {
+        const baseUrl = (this.settings.apiUrl || '').trim().replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('No backend configured. Set the Backend API URL in Settings, or choose the in-browser audio engine.');
+        }
+        return baseUrl + path;
+    }
+    
+    // Form fields sent next to every upload; see get_processing_options in api.py
+    getUploadFields(overrides = {}) {
+        const fields = {
+            diarize: this.settings.diarization ? 'true' : 'false',
+            prompt: this.getVocabularyPrompt(),
+            language: this.settings.fileLanguage,
+            // Whisper can only translate into English; other targets use a registered translator
+            task: this.settings.translateTo === 'en' ? 'translate' : 'transcribe'
+        };
+        if (this.settings.speakerCount > 0) {
+            fields.speakers = String(this.settings.speakerCount);
+        }
+        return { ...fields, ...overrides };
+    }
+    
+    // Upload a file to the backend, retrying transient failures with exponential backoff
+    async uploadToBackend(file, path = '/api/upload', signal = null, fields = this.getUploadFields()) {
+        const url = this.getApiEndpoint(path);
+        const maxAttempts = this.settings.apiRetries + 1;
+        let lastError = null;
+        
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.sendApiRequest(url, file, signal, fields);
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable || attempt === maxAttempts) break;
+                
+                const delay = Math.min(30000, 1000 * Math.pow(2, attempt - 1)) + Math.random() * 250;
+                console.warn(`Upload of ${file.name} failed (attempt ${attempt}/${maxAttempts}), retrying in ${Math.round(delay)} ms:`, error.message);
+                await this.wait(delay, signal);
+            }
+        }
+        
+        throw lastError;
+    }
+    
+    async sendApiRequest(url, file, signal = null, fields = {}) {
+        const formData = new FormData();
+        formData.append('file', file, file.name);
+        Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+        return this.fetchApi(url, { method: 'POST', body: formData, signal });
+    }
+    
+    // Fetch a backend URL with the configured timeout, translating failures into API errors.
+    // options.signal cancels the request; a cancelled request is never retried.
+    async fetchApi(url, options = {}) {
+        const { signal, ...fetchOptions } = options;
+        this.throwIfCancelled(signal);
+        
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.settings.apiTimeout * 1000);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort);
+        
+        try {
+            const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+            return await this.parseApiResponse(response);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw this.createCancelError();
+            }
+            if (error.name === 'AbortError') {
+                throw this.createApiError(`Request timed out after ${this.settings.apiTimeout} seconds.`, true);
+            }
+            if (error instanceof TypeError) {
+                throw this.createApiError(`Could not reach the backend at ${url}. Check the API URL and CORS settings.`, true);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+    
+    async parseApiResponse(response) {
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Non-JSON body (e.g. a proxy error page); handled below
+        }
+        
+        if (!response.ok) {
+            const message = (data && data.error) || `Backend responded with ${response.status} ${response.statusText}.`;
+            throw this.createApiError(message, response.status >= 500 || response.status === 429);
+        }
+        
+        if (!data || typeof data !== 'object') {
+            throw this.createApiError('Backend returned an unexpected response.', false);
+        }
+        
+        return data;
+    }
+    
+    // Backend job methods
+    // Audio is queued with POST /api/jobs and followed until the job is done, failed or
+    // cancelled, so long recordings never hold a request open
+    async transcribeOnBackend(file, onStatus = () => {}, signal = null, fields = this.getUploadFields()) {
+        const job = await this.uploadToBackend(file, '/api/jobs', signal, fields);
+        if (typeof job.id !== 'string') {
+            throw this.createApiError('Backend returned an unexpected response.', false);
+        }
+        
+        let finished;
+        try {
+            finished = await this.waitForJob(job, onStatus, signal);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                this.cancelBackendJob(job.id);
+            }
+            throw error;
+        }
+        if (finished.status === 'failed') {
+            throw new Error(finished.error || 'Transcription failed on the backend.');
+        }
+        if (finished.status === 'cancelled') {
+            // Cancelled through DELETE /api/jobs/<id> from elsewhere; report it like a local cancel
+            const error = this.createCancelError();
+            error.message = 'Cancelled on the backend.';
+            throw error;
+        }
+        if (!finished.result || typeof finished.result.result !== 'string') {
+            throw this.createApiError('Backend returned an unexpected response.', false);
+        }
+        
+        return finished.result;
+    }
+    
+    isJobFinished(job) {
+        return ['done', 'failed', 'cancelled'].includes(job.status);
+    }
+    
+    async waitForJob(job, onStatus, signal = null) {
+        onStatus(job);
+        if (this.isJobFinished(job)) return job;
+        
+        if (window.EventSource) {
+            try {
+                return await this.watchJobEvents(job.id, onStatus, signal);
+            } catch (error) {
+                this.throwIfCancelled(signal);
+                console.warn(`Event stream for job ${job.id} failed, polling instead:`, error.message);
+            }
+        }
+        
+        return this.pollJob(job.id, onStatus, signal);
+    }
+    
+    watchJobEvents(jobId, onStatus, signal = null) {
+        return new Promise((resolve, reject) => {
+            this.throwIfCancelled(signal);
+            const source = new EventSource(this.getApiEndpoint(`/api/jobs/${encodeURIComponent(jobId)}/events`));
+            const finish = (callback, value) => {
+                source.close();
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            const onAbort = () => finish(reject, this.createCancelError());
+            if (signal) signal.addEventListener('abort', onAbort);
+            
+            source.onmessage = (event) => {
+                const job = JSON.parse(event.data);
+                onStatus(job);
+                if (this.isJobFinished(job)) {
+                    finish(resolve, job);
+                }
+            };
+            source.onerror = () => {
+                finish(reject, new Error('Event stream closed before the job finished.'));
+            };
+        });
+    }
+    
+    async pollJob(jobId, onStatus, signal = null) {
+        const url = this.getApiEndpoint(`/api/jobs/${encodeURIComponent(jobId)}`);
+        let failures = 0;
+        
+        while (true) {
+            await this.wait(JOB_POLL_INTERVAL_MS, signal);
+            
+            let job;
+            try {
+                job = await this.fetchApi(url, { signal });
+            } catch (error) {
+                // Transient failures are tolerated up to the configured retry count in a row
+                if (!error.retryable || ++failures > this.settings.apiRetries) throw error;
+                continue;
+            }
+            
+            failures = 0;
+            onStatus(job);
+            if (this.isJobFinished(job)) return job;
+        }
+    }
+    
+    // Ask the backend to drop a job nobody is waiting for; jobs that already started run to the end
+    cancelBackendJob(jobId) {
+        fetch(this.getApiEndpoint(`/api/jobs/${encodeURIComponent(jobId)}`), { method: 'DELETE' })
+            .catch(error => console.warn(`Failed to cancel job ${jobId}:`, error.message));
+    }
+    
+    getJobStatusLabel(job) {
+        if (job.status === 'queued') return 'Queued';
+        if (job.status === 'running') {
+            const stage = job.stage ? job.stage.charAt(0).toUpperCase() + job.stage.slice(1) : 'Running';
+            return `${stage} ${Math.round((job.progress || 0) * 100)}%`;
+        }
+        if (job.status === 'cancelled') return this.getStatusDisplay('cancelled');
+        return this.getStatusDisplay(job.status === 'done' ? 'completed' : 'error');
+    }
+    
+    createApiError(message, retryable) {
+        const error = new Error(message);
+        error.retryable = retryable;
+        return error;
+    }
+    
+    // Transcript model methods
+    // The transcript is a list of segments; the textarea only renders it
+    createSegment(fields) {
+        return {
+            id: this.generateId(),
+            source: { kind: 'manual', id: 'manual', name: null },
+            start: null,
+            end: null,
+            confidence: null,
+            language: null,
+            speaker: null,
+            translation: null,
+            alternatives: null,
+            reviewed: false,
+            text: '',
+            isError: false,
+            createdAt: new Date().toISOString(),
+            ...fields
+        };
+    }
+    
+    addTranscriptSegment(fields) {
+        const segment = this.createSegment(fields);
+        this.transcript.segments.push(segment);
+        return segment;
+    }
+    
+    isSameSource(a, b) {
+        return a.kind === b.kind && a.id === b.id;
+    }
+    
+    // Replace every segment of a source in place, or append them if the source is new
+    setSourceSegments(source, segments) {
+        const existing = this.transcript.segments;
+        const firstIndex = existing.findIndex(segment => this.isSameSource(segment.source, source));
+        const remaining = existing.filter(segment => !this.isSameSource(segment.source, source));
+        const created = segments.map(fields => this.createSegment({ ...fields, source }));
+        
+        const insertAt = firstIndex === -1 ? remaining.length : firstIndex;
+        remaining.splice(insertAt, 0, ...created);
+        this.transcript.segments = remaining;
+    }
+    
+    // Mirror a processed leaf file into the transcript (timed audio segments or one block of text)
+    updateFileSegments(fileData, content) {
+        const source = { kind: 'file', id: fileData.id, name: fileData.path || fileData.name };
+        
+        if (fileData.status === 'error') {
+            this.setSourceSegments(source, [{ text: `Error: ${fileData.error}`, isError: true }]);
+        } else if (fileData.segments && fileData.segments.length > 0) {
+            const translations = fileData.translation ?
+                this.alignTranslation(fileData.segments, fileData.translation) : [];
+            this.setSourceSegments(source, fileData.segments.map((segment, index) => ({
+                start: segment.start,
+                end: segment.end,
+                language: fileData.language || null,
+                speaker: segment.speaker || null,
+                translation: translations[index] || null,
+                text: segment.text
+            })));
+        } else {
+            this.setSourceSegments(source, [{
+                text: content || '',
+                language: fileData.language || null,
+                translation: fileData.translation ? { language: fileData.translation.language, text: fileData.translation.text } : null
+            }]);
+        }
+    }
+    
+    // Group consecutive segments by source so each file gets one header block
+    getTranscriptGroups() {
+        const groups = [];
+        this.transcript.segments.forEach(segment => {
+            const lastGroup = groups[groups.length - 1];
+            if (lastGroup && this.isSameSource(lastGroup.source, segment.source)) {
+                lastGroup.segments.push(segment);
+            } else {
+                groups.push({ source: segment.source, segments: [segment] });
+            }
+        });
+        return groups;
+    }
+    
+    // Build the textarea text, remembering where each segment's text sits so edits can be mapped back
+    renderTranscriptText() {
+        let text = '';
+        const ranges = [];
+        
+        this.getTranscriptGroups().forEach((group, groupIndex) => {
+            if (groupIndex > 0) text += '\n\n';
+            
+            const first = group.segments[0];
+            if (group.source.kind === 'file') {
+                const header = this.formatFileResult(group.source.name, '', first.isError, new Date(first.createdAt));
+                text += header;
+            }
+            
+            // Timed segments flow as prose; untimed file text keeps its own paragraphs.
+            // With several speakers, each speaker turn starts a labeled paragraph.
+            const joiner = group.source.kind === 'file' && first.start === null ? '\n\n' : ' ';
+            const showSpeakers = this.getSpeakers(group.segments).length > 1;
+            group.segments.forEach((segment, index) => {
+                const newTurn = showSpeakers && (index === 0 || segment.speaker !== group.segments[index - 1].speaker);
+                // Dictated line breaks ("new line") already separate the segments
+                if (index > 0) text += newTurn ? '\n\n' : text.endsWith('\n') ? '' : joiner;
+                if (newTurn) text += `${segment.speaker || 'Unknown speaker'}: `;
+                ranges.push({ segment, start: text.length, end: text.length + segment.text.length });
+                text += segment.text;
+            });
+            
+            // Translations follow the original as a generated, read-only block
+            const translation = this.formatTranslation(group.segments);
+            if (translation) {
+                text += `\n\n--- Translation (${this.getLanguageName(translation.language)}) ---\n${translation.text}`;
+            }
+        });
+        
+        return { text, ranges };
+    }
+    
+    getTranscriptPlainText() {
+        return this.transcript.segments.map(segment => segment.text).join(' ').trim();
+    }
+    
+    // Re-render the textarea from the model, keeping any interim speech at the end
+    refreshTranscriptView() {
+        const { text, ranges } = this.renderTranscriptText();
+        const separator = text && this.interimText ? ' ' : '';
+        const displayText = text + separator + this.interimText;
+        
+        this.renderedTranscript = displayText;
+        this.segmentRanges = ranges;
+        
+        if (this.transcriptArea.value !== displayText) {
+            const atEnd = this.transcriptArea.scrollTop + this.transcriptArea.clientHeight >= this.transcriptArea.scrollHeight - 20;
+            this.transcriptArea.value = displayText;
+            if (atEnd) {
+                this.transcriptArea.scrollTop = this.transcriptArea.scrollHeight;
+            }
+        }
+        
+        this.updatePlaybackSources();
+        if (this.transcriptView === 'review') {
+            this.renderRichTranscript();
+        }
+        this.updateReviewNav();
+        this.renderSpeakerList();
+        this.updateTranscriptStats();
+    }
+    
+    // Translation methods
+    // Whisper translates audio into English on the backend or in the browser; every other case
+    // (other targets, documents, the Whisper-less path) goes through a registered translator:
+    // { name, translate(text, { from, to, signal }) → Promise<string>, supports?(from, to) → boolean }
+    registerTranslator(translator) {
+        if (!translator || !translator.name || typeof translator.translate !== 'function') {
+            throw new Error('A translator needs a name and a translate(text, { from, to, signal }) function.');
+        }
+        this.translators = this.translators.filter(existing => existing.name !== translator.name);
+        this.translators.unshift(translator); // later registrations take precedence
+    }
+    
+    findTranslator(from, to) {
+        return this.translators.find(translator => !translator.supports || translator.supports(from, to)) || null;
+    }
+    
+    // Translate a processed leaf file into the target language unless Whisper already did
+    async translateFileResult(fileData, content, signal = null) {
+        const target = this.settings.translateTo;
+        fileData.translationError = null;
+        if (!target || fileData.translation || !content || fileData.language === target) return;
+        
+        const translator = this.findTranslator(fileData.language, target);
+        if (!translator) {
+            fileData.translationError = `No translator available for ${this.getLanguageName(target)}`;
+            return;
+        }
+        
+        const options = { from: fileData.language, to: target, signal };
+        try {
+            if (fileData.segments && fileData.segments.length > 0) {
+                // Timed segments are translated one by one so they stay aligned with the original
+                const segments = [];
+                for (const segment of fileData.segments) {
+                    this.throwIfCancelled(signal);
+                    segments.push({ ...segment, text: await translator.translate(segment.text, options) });
+                }
+                fileData.translation = { language: target, text: segments.map(segment => segment.text).join(' '), segments };
+            } else {
+                // Skip the generated header line ("Text file content from: ...")
+                const bodyStart = content.indexOf('\n\n');
+                const body = bodyStart === -1 ? content : content.slice(bodyStart + 2);
+                fileData.translation = { language: target, text: await translator.translate(body, options) };
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            console.warn(`Translating ${fileData.name} with ${translator.name} failed:`, error);
+            fileData.translationError = `Translation failed: ${error.message}`;
+        }
+    }
+    
+    // The text each segment translates to: translated segments are matched to the original
+    // segment they overlap most; untimed translations belong to the first segment
+    alignTranslation(segments, translation) {
+        const texts = segments.map(() => []);
+        if (!translation.segments || segments.some(segment => segment.start === null)) {
+            texts[0].push(translation.text);
+        } else {
+            translation.segments.forEach(translated => {
+                let best = 0;
+                let bestOverlap = -Infinity;
+                segments.forEach((segment, index) => {
+                    const overlap = Math.min(segment.end, translated.end) - Math.max(segment.start, translated.start);
+                    if (overlap > bestOverlap) {
+                        bestOverlap = overlap;
+                        best = index;
+                    }
+                });
+                texts[best].push(translated.text);
+            });
+        }
+        return texts.map(parts => parts.length > 0 ? { language: translation.language, text: parts.join(' ') } : null);
+    }
+    
+    // Join the translations of a source's segments the way the original is laid out
+    formatTranslation(segments) {
+        const translated = segments.filter(segment => segment.translation);
+        if (translated.length === 0) return null;
+        
+        const text = this.getSpeakers(segments).length > 1 ?
+            this.formatSpeakerTurns(translated.map(segment => ({ speaker: segment.speaker, text: segment.translation.text }))) :
+            translated.map(segment => segment.translation.text).join(translated[0].start === null ? '\n\n' : ' ');
+        return { language: translated[0].translation.language, text };
+    }
+    
+    getLanguageName(code) {
+        if (!code) return 'Unknown language';
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+        } catch (error) {
+            return code.toUpperCase();
+        }
+    }
+    
+    // Voice command methods
+    // Final dictation results are split into text and spoken commands ("comma", "new line",
+    // "undo that"...) for the current language plus the custom mappings in Settings
+    getVoiceCommands() {
+        const language = this.settings.language.split('-')[0];
+        const key = `${language}|${this.settings.voiceCommandMappings}`;
+        if (this.voiceCommandCache && this.voiceCommandCache.key === key) {
+            return this.voiceCommandCache.commands;
+        }
+        
+        const phrases = VOICE_COMMANDS[language] || VOICE_COMMANDS.en;
+        const punctuation = VOICE_PUNCTUATION[language] || VOICE_PUNCTUATION.default;
+        const commands = new Map();
+        Object.entries(phrases).forEach(([action, list]) => {
+            list.forEach(phrase => commands.set(this.normalizeCommandPhrase(phrase), { action, text: punctuation[action] || null }));
+        });
+        this.parseVoiceCommandMappings(this.settings.voiceCommandMappings, phrases).forEach(({ phrase, command }) => {
+            commands.set(this.normalizeCommandPhrase(phrase), command);
+        });
+        
+        // Languages written without spaces can't rely on word boundaries
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        const alternatives = [...commands.keys()].sort((a, b) => b.length - a.length).map(escape).join('|');
+        const pattern = ['ja', 'zh'].includes(language) ?
+            new RegExp(`(${alternatives})`, 'giu') :
+            new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+        
+        this.voiceCommandCache = { key, commands: { map: commands, pattern: alternatives ? pattern : null } };
+        return this.voiceCommandCache.commands;
+    }
+    
+    normalizeCommandPhrase(phrase) {
+        return phrase.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    
+    // One "phrase = action" per line. The action is a built-in command, given by its phrase in the
+    // current language or by its English phrase ("scratch that = delete last sentence");
+    // anything else is text to insert ("smiley = :)")
+    parseVoiceCommandMappings(text, phrases) {
+        const builtIns = new Map();
+        [VOICE_COMMANDS.en, phrases].forEach(table => {
+            Object.entries(table).forEach(([action, list]) => {
+                list.forEach(phrase => builtIns.set(this.normalizeCommandPhrase(phrase), action));
+            });
+        });
+        builtIns.set('undo', 'undo');
+        
+        const punctuation = VOICE_PUNCTUATION[this.settings.language.split('-')[0]] || VOICE_PUNCTUATION.default;
+        return (text || '').split('\n').map(line => {
+            const separator = line.indexOf('=');
+            if (separator === -1) return null;
+            
+            const phrase = line.slice(0, separator).trim();
+            const target = line.slice(separator + 1).trim();
+            if (!phrase || !target) return null;
+            
+            const action = builtIns.get(this.normalizeCommandPhrase(target));
+            return {
+                phrase,
+                command: action ? { action, text: punctuation[action] || null } : { action: 'insert', text: target }
+            };
+        }).filter(Boolean);
+    }
+    
+    // Apply a final result to the dictation; returns true when "stop listening" was heard
+    handleDictatedText(transcript, fields) {
+        const commands = this.settings.voiceCommands ? this.getVoiceCommands() : null;
+        const parts = [];
+        if (commands && commands.pattern) {
+            let lastIndex = 0;
+            transcript.replace(commands.pattern, (match, phrase, offset) => {
+                parts.push({ type: 'text', text: transcript.slice(lastIndex, offset) });
+                parts.push({ type: 'command', ...commands.map.get(this.normalizeCommandPhrase(phrase)) });
+                lastIndex = offset + match.length;
+                return match;
+            });
+            parts.push({ type: 'text', text: transcript.slice(lastIndex) });
+        } else {
+            parts.push({ type: 'text', text: transcript });
+        }
+        
+        // Alternatives describe the whole result, so they only fit when it holds no commands
+        const { alternatives, ...segmentFields } = fields;
+        const segmentAlternatives = parts.length === 1 && alternatives ?
+            alternatives.map(alternative => ({ ...alternative, text: this.formatTranscript(alternative.text) })) : null;
+        
+        let pending = '';
+        const flush = () => {
+            if (pending.trim()) {
+                this.pushDictationUndo(fields.source);
+                const breaks = pending.match(/\n*$/)[0];
+                this.addTranscriptSegment({
+                    ...segmentFields,
+                    alternatives: segmentAlternatives,
+                    text: this.formatTranscript(pending) + breaks
+                });
+            }
+            pending = '';
+        };
+        
+        for (const part of parts) {
+            if (part.type === 'text') {
+                if (part.text.trim()) {
+                    pending += (pending && !/\s$/.test(pending) ? ' ' : '') + part.text.trim();
+                }
+                continue;
+            }
+            
+            switch (part.action) {
+                case 'period':
+                case 'comma':
+                case 'questionMark':
+                case 'newLine':
+                case 'newParagraph':
+                case 'insert': {
+                    const text = part.action === 'newLine' ? '\n' : part.action === 'newParagraph' ? '\n\n' : part.text;
+                    // Punctuation and breaks attach to the previous word; inserted text is a word of its own
+                    const glue = part.action !== 'insert';
+                    if (pending.trim()) {
+                        pending = glue ? pending.replace(/[ \t]+$/, '') + text : `${pending} ${text}`;
+                    } else {
+                        this.appendToDictation(segmentFields, text, glue);
+                    }
+                    break;
+                }
+                case 'deleteLastSentence':
+                    flush();
+                    this.deleteLastDictatedSentence(fields.source);
+                    break;
+                case 'undo':
+                    // Undo drops words not yet added, otherwise the last change
+                    if (pending.trim()) {
+                        pending = '';
+                    } else {
+                        this.undoDictation(fields.source);
+                    }
+                    break;
+                case 'stopListening':
+                    flush();
+                    return true;
+            }
+        }
+        
+        flush();
+        return false;
+    }
+    
+    getLastDictatedSegment(source) {
+        const segments = this.transcript.segments.filter(segment => this.isSameSource(segment.source, source));
+        return segments[segments.length - 1] || null;
+    }
+    
+    appendToDictation(fields, text, glue) {
+        const last = this.getLastDictatedSegment(fields.source);
+        if (!last && glue) return; // nothing to punctuate yet
+        
+        this.pushDictationUndo(fields.source);
+        if (!last) {
+            this.addTranscriptSegment({ ...fields, text: text });
+            return;
+        }
+        
+        last.text = glue ? last.text.replace(/[ \t]+$/, '') + text : `${last.text} ${text}`;
+        last.end = fields.end;
+    }
+    
+    // Remove the last sentence of the dictation: everything after the last sentence end
+    // (or line break) before the final punctuation mark
+    deleteLastDictatedSentence(source) {
+        const last = this.getLastDictatedSegment(source);
+        if (!last) return;
+        
+        this.pushDictationUndo(source);
+        const body = last.text.replace(/\s+$/, '').replace(/[.!?。？！।]+$/, '');
+        const cut = Math.max(...['.', '!', '?', '。', '？', '！', '।', '\n'].map(mark => body.lastIndexOf(mark)));
+        last.text = cut === -1 ? '' : body.slice(0, cut + 1);
+        if (!last.text.trim()) {
+            this.transcript.segments = this.transcript.segments.filter(segment => segment !== last);
+        }
+    }
+    
+    // Snapshots of one dictation's segments taken before each change, newest last
+    pushDictationUndo(source) {
+        const segments = this.transcript.segments
+            .filter(segment => this.isSameSource(segment.source, source))
+            .map(segment => ({ ...segment }));
+        this.dictationUndo.push({ source, segments });
+        if (this.dictationUndo.length > 50) {
+            this.dictationUndo.shift();
+        }
+    }
+    
+    undoDictation(source) {
+        const index = this.dictationUndo.map(entry => this.isSameSource(entry.source, source)).lastIndexOf(true);
+        if (index === -1) return;
+        
+        const [snapshot] = this.dictationUndo.splice(index, 1);
+        this.setSourceSegments(source, snapshot.segments);
+    }
+    
+    // Vocabulary methods
+    // Terms ({ id, term, hint, replacements }) bias live recognition through the grammar list,
+    // become Whisper's initial prompt, and drive the replacements applied to every transcript
+    addVocabularyTerm() {
+        const term = this.vocabularyTermInput.value.trim();
+        if (!term) {
+            this.showError('Enter a term to add to the vocabulary.');
+            return;
+        }
+        
+        this.upsertVocabularyTerms([{
+            term: term,
+            hint: this.vocabularyHintInput.value.trim(),
+            replacements: this.vocabularyReplacementsInput.value.split(',')
+        }]);
+        this.vocabularyTermInput.value = '';
+        this.vocabularyHintInput.value = '';
+        this.vocabularyReplacementsInput.value = '';
+    }
+    
+    // Add terms, replacing any existing entry with the same term (ignoring case)
+    upsertVocabularyTerms(terms) {
+        const vocabulary = [...this.settings.vocabulary];
+        terms.forEach(entry => {
+            const term = {
+                id: this.generateId(),
+                term: entry.term.trim(),
+                hint: (entry.hint || '').trim(),
+                replacements: (entry.replacements || []).map(text => String(text).trim()).filter(Boolean)
+            };
+            const index = vocabulary.findIndex(existing => existing.term.toLowerCase() === term.term.toLowerCase());
+            if (index === -1) {
+                vocabulary.push(term);
+            } else {
+                vocabulary[index] = { ...term, id: vocabulary[index].id };
+            }
+        });
+        
+        this.settings.vocabulary = vocabulary;
+        this.onVocabularyChanged();
+    }
+    
+    removeVocabularyTerm(termId) {
+        this.settings.vocabulary = this.settings.vocabulary.filter(term => term.id !== termId);
+        this.onVocabularyChanged();
+    }
+    
+    // Put a term back into the form so it can be changed and re-added
+    editVocabularyTerm(termId) {
+        const term = this.settings.vocabulary.find(item => item.id === termId);
+        if (!term) return;
+        
+        this.vocabularyTermInput.value = term.term;
+        this.vocabularyHintInput.value = term.hint;
+        this.vocabularyReplacementsInput.value = term.replacements.join(', ');
+        this.vocabularyTermInput.focus();
+    }
+    
+    onVocabularyChanged() {
+        this.vocabularyPatterns = null;
+        this.saveSettings();
+        this.renderVocabularyList();
+        this.applyVocabularyToRecognition();
+    }
+    
+    renderVocabularyList() {
+        const terms = [...this.settings.vocabulary].sort((a, b) => a.term.localeCompare(b.term));
+        if (terms.length === 0) {
+            this.vocabularyList.innerHTML = '<div class="vocabulary-empty">No terms yet.</div>';
+            return;
+        }
+        
+        this.vocabularyList.innerHTML = terms.map(term => `
+            <div class="vocabulary-item">
+                <div class="vocabulary-info" onclick="app.editVocabularyTerm('${term.id}')" title="Edit term">
+                    <span class="vocabulary-term">${this.escapeHtml(term.term)}</span>
+                    ${term.hint ? `<span class="vocabulary-hint">/${this.escapeHtml(term.hint)}/</span>` : ''}
+                    ${term.replacements.length > 0 ? `<div class="vocabulary-replacements">from: ${this.escapeHtml(term.replacements.join(', '))}</div>` : ''}
+                </div>
+                <button class="remove-file-btn" onclick="app.removeVocabularyTerm('${term.id}')" title="Remove term">×</button>
+            </div>
+        `).join('');
+    }
+    
+    // A pronunciation hint is also a way the term can be heard: "koo-ber-NET-eez" may come back
+    // from the recognizer as "koo ber net eez", so both spellings count
+    getHintForms(hint) {
+        if (!hint) return [];
+        const spoken = hint.replace(/[-_.]+/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+        return spoken && spoken !== hint.toLowerCase() ? [hint, spoken] : [hint];
+    }
+    
+    // Bias live recognition toward the vocabulary: SpeechGrammarList where supported, plus
+    // phrase boosting on browsers that implement SpeechRecognition.phrases. Spoken hint forms
+    // are added as alternatives; applyVocabulary maps them back to the term.
+    applyVocabularyToRecognition() {
+        if (!this.recognition) return;
+        const terms = this.settings.vocabulary.flatMap(term => [term.term, ...this.getHintForms(term.hint).slice(-1)]);
+        
+        const GrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+        if (GrammarList) {
+            try {
+                const grammars = new GrammarList();
+                // JSGF reserves these characters; terms keep only their words
+                const alternatives = terms.map(term => term.replace(/[;|<>*+()[\]{}/=\\"]/g, ' ').trim()).filter(Boolean);
+                if (alternatives.length > 0) {
+                    grammars.addFromString(`#JSGF V1.0; grammar vocabulary; public <term> = ${alternatives.join(' | ')} ;`, 1);
+                }
+                this.recognition.grammars = grammars;
+            } catch (error) {
+                console.warn('Failed to apply the vocabulary grammar:', error);
+            }
+        }
+        
+        if ('phrases' in this.recognition && window.SpeechRecognitionPhrase) {
+            try {
+                this.recognition.phrases = terms.map(term => new SpeechRecognitionPhrase(term, 5));
+            } catch (error) {
+                console.warn('Failed to apply vocabulary phrases:', error);
+            }
+        }
+    }
+    
+    // Whisper's initial_prompt conditions spelling and style; it is limited to ~224 tokens,
+    // so the list is cut off well before that. Whisper reads the prompt as preceding transcript,
+    // so only the terms go in; a pronunciation hint there would be copied as a spelling.
+    getVocabularyPrompt() {
+        const terms = this.settings.vocabulary.map(term => term.term);
+        if (terms.length === 0) return '';
+        
+        let prompt = 'Glossary:';
+        for (const term of terms) {
+            const next = `${prompt}${prompt.endsWith(':') ? ' ' : ', '}${term}`;
+            if (next.length > 600) break;
+            prompt = next;
+        }
+        return `${prompt}.`;
+    }
+    
+    // Case-insensitive whole-word replacements, longest first so multi-word rules win.
+    // Each term also fixes its own capitalisation ("kubernetes" → "Kubernetes"), and its
+    // pronunciation hint is replaced like a misheard form.
+    applyVocabulary(text) {
+        if (!text || this.settings.vocabulary.length === 0) return text;
+        
+        if (!this.vocabularyPatterns) {
+            const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            this.vocabularyPatterns = this.settings.vocabulary
+                .flatMap(term => [term.term, ...term.replacements, ...this.getHintForms(term.hint)].map(from => ({ from, to: term.term })))
+                .sort((a, b) => b.from.length - a.from.length)
+                .map(rule => ({
+                    pattern: new RegExp(`(^|[^\\p{L}\\p{N}_])${escape(rule.from)}(?=$|[^\\p{L}\\p{N}_])`, 'giu'),
+                    to: rule.to
+                }));
+        }
+        
+        return this.vocabularyPatterns.reduce(
+            (result, rule) => result.replace(rule.pattern, (match, before) => `${before}${rule.to}`), text);
+    }
+    
+    exportVocabulary() {
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            terms: this.settings.vocabulary.map(({ term, hint, replacements }) => ({ term, hint, replacements }))
+        };
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'vocabulary.json');
+        this.showSuccess(`Exported ${data.terms.length} vocabulary term(s).`);
+    }
+    
+    // Accepts an export ({ terms: [...] }) or a bare array; terms merge into the current list
+    async importVocabulary(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const terms = Array.isArray(data) ? data : data && data.terms;
+            if (!Array.isArray(terms)) {
+                throw new Error('Expected a "terms" array.');
+            }
+            
+            const valid = terms
+                .map(entry => typeof entry === 'string' ? { term: entry } : entry)
+                .filter(entry => entry && typeof entry.term === 'string' && entry.term.trim() &&
+                    (entry.replacements === undefined || Array.isArray(entry.replacements)));
+            if (valid.length === 0) {
+                throw new Error('No valid terms found.');
+            }
+            
+            this.upsertVocabularyTerms(valid);
+            const skipped = terms.length - valid.length;
+            this.showSuccess(`Imported ${valid.length} vocabulary term(s)${skipped > 0 ? `, skipped ${skipped} invalid` : ''}.`);
+        } catch (error) {
+            this.showError(`Failed to import vocabulary: ${error.message}`);
+        }
+    }
+    
+    // Playback methods
+    // Audio files and dictation recordings play back next to their timed segments: the playing
+    // segment and word are highlighted in the Review view, and clicking text seeks the audio
+    findFileData(fileId, files = this.uploadedFiles) {
+        for (const fileData of files) {
+            if (fileData.id === fileId) return fileData;
+            const child = this.findFileData(fileId, fileData.children);
+            if (child) return child;
+        }
+        return null;
+    }
+    
+    // Sources with timed segments whose audio is still at hand
+    getPlaybackSources() {
+        const sources = new Map();
+        this.transcript.segments.forEach(segment => {
+            if (segment.start === null || segment.isError) return;
+            const key = this.getSourceKey(segment.source);
+            if (sources.has(key)) return;
+            
+            if (segment.source.kind === 'file') {
+                const fileData = this.findFileData(segment.source.id);
+                if (fileData && fileData.file && fileData.type.startsWith('audio/')) {
+                    sources.set(key, { key, source: segment.source, name: segment.source.name });
+                }
+            } else if (segment.source.kind === 'mic' && !(this.micSession && this.micSession.id === segment.source.id)) {
+                sources.set(key, { key, source: segment.source, name: `🎤 ${segment.source.name || 'Dictation'}` });
+            }
+        });
+        return sources;
+    }
+    
+    updatePlaybackSources() {
+        const sources = this.getPlaybackSources();
+        if (this.playbackSourceKey && !sources.has(this.playbackSourceKey)) {
+            this.unloadPlayback();
+        }
+        
+        const html = `<option value="">🎧 Listen back...</option>` + [...sources.values()].map(item =>
+            `<option value="${this.escapeHtml(item.key)}">${this.escapeHtml(item.name)}</option>`).join('');
+        if (this.playbackSourceSelect.innerHTML !== html) {
+            this.playbackSourceSelect.innerHTML = html;
+        }
+        this.playbackSourceSelect.value = this.playbackSourceKey || '';
+        this.playbackPanel.classList.toggle('open', sources.size > 0);
+    }
+    
+    async getPlaybackBlob(source) {
+        if (source.kind === 'file') {
+            const fileData = this.findFileData(source.id);
+            return fileData ? fileData.file : null;
+        }
+        
+        if (this.lastRecording && this.lastRecording.micSessionId === source.id) {
+            return this.lastRecording.blob;
+        }
+        for (const recordingId of this.currentSession ? this.currentSession.recordingIds : []) {
+            const recording = await this.runSessionRequest('readonly', store => store.get(recordingId), RECORDING_STORE);
+            if (recording && recording.micSessionId === source.id) return recording.blob;
+        }
+        return null;
+    }
+    
+    async selectPlaybackSource(key) {
+        if (key === this.playbackSourceKey) return true;
+        if (!key) {
+            this.unloadPlayback();
+            return false;
+        }
+        
+        const item = this.getPlaybackSources().get(key);
+        const blob = item ? await this.getPlaybackBlob(item.source) : null;
+        if (!blob) {
+            this.showError('The audio for this transcript is no longer available.');
+            this.updatePlaybackSources();
+            return false;
+        }
+        
+        this.unloadPlayback();
+        this.playbackSourceKey = key;
+        this.playbackUrl = URL.createObjectURL(blob);
+        this.playbackAudio.src = this.playbackUrl;
+        this.playbackAudio.playbackRate = this.settings.playbackRate;
+        this.playbackSourceSelect.value = key;
+        
+        // Highlighting needs the rich view
+        if (this.transcriptView !== 'review') {
+            this.setTranscriptView('review');
+        } else {
+            this.renderRichTranscript();
+        }
+        return true;
+    }
+    
+    unloadPlayback() {
+        this.stopPlaybackTracking();
+        this.playbackAudio.pause();
+        this.playbackAudio.removeAttribute('src');
+        if (this.playbackUrl) {
+            URL.revokeObjectURL(this.playbackUrl);
+            this.playbackUrl = null;
+        }
+        this.playbackSourceKey = null;
+        this.playingSegmentId = null;
+        if (this.transcriptView === 'review') {
+            this.renderRichTranscript();
+        }
+    }
+    
+    async seekPlayback(sourceKey, time) {
+        if (!(await this.selectPlaybackSource(sourceKey))) return;
+        this.playbackAudio.currentTime = Math.max(0, time);
+        this.updatePlaybackHighlight();
+    }
+    
+    togglePlayback() {
+        if (!this.playbackSourceKey) return;
+        if (this.playbackAudio.paused) {
+            this.playbackAudio.play().catch(error => console.warn('Playback failed:', error));
+        } else {
+            this.playbackAudio.pause();
+        }
+    }
+    
+    skipPlayback(seconds) {
+        if (!this.playbackSourceKey) return;
+        this.playbackAudio.currentTime = Math.max(0, this.playbackAudio.currentTime + seconds);
+        this.updatePlaybackHighlight();
+    }
+    
+    changePlaybackRate(step) {
+        const index = PLAYBACK_RATES.indexOf(this.settings.playbackRate);
+        const current = index === -1 ? PLAYBACK_RATES.indexOf(1) : index;
+        this.setPlaybackRate(PLAYBACK_RATES[Math.min(PLAYBACK_RATES.length - 1, Math.max(0, current + step))]);
+    }
+    
+    setPlaybackRate(rate) {
+        this.settings.playbackRate = rate;
+        this.playbackAudio.playbackRate = rate;
+        this.playbackRateSelect.value = String(rate);
+        this.saveSettings();
+    }
+    
+    // Follow playback every frame so the word highlight keeps up with the audio
+    startPlaybackTracking() {
+        this.stopPlaybackTracking();
+        const tick = () => {
+            this.updatePlaybackHighlight();
+            this.playbackFrame = requestAnimationFrame(tick);
+        };
+        this.playbackFrame = requestAnimationFrame(tick);
+    }
+    
+    stopPlaybackTracking() {
+        if (this.playbackFrame) {
+            cancelAnimationFrame(this.playbackFrame);
+            this.playbackFrame = null;
+        }
+    }
+    
+    updatePlaybackHighlight() {
+        const time = this.playbackAudio.currentTime;
+        const segments = this.transcript.segments.filter(segment =>
+            segment.start !== null && this.getSourceKey(segment.source) === this.playbackSourceKey);
+        const current = segments.find(segment => time >= segment.start && time < segment.end) || null;
+        const currentId = current ? current.id : null;
+        
+        if (currentId !== this.playingSegmentId) {
+            this.playingSegmentId = currentId;
+            this.transcriptRich.querySelectorAll('.transcript-segment.playing').forEach(span => span.classList.remove('playing'));
+            const span = currentId && this.transcriptRich.querySelector(`[data-segment-id="${currentId}"]`);
+            if (span) {
+                span.classList.add('playing');
+                if (!this.playbackAudio.paused) span.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        }
+        
+        const span = currentId && this.transcriptRich.querySelector(`[data-segment-id="${currentId}"]`);
+        const words = span ? [...span.querySelectorAll('.transcript-word')] : [];
+        const word = words.filter(item => parseFloat(item.dataset.time) <= time).pop();
+        const previous = this.transcriptRich.querySelector('.transcript-word.current-word');
+        if (previous !== word) {
+            if (previous) previous.classList.remove('current-word');
+            if (word) word.classList.add('current-word');
+        }
+    }
+    
+    // Word timings are estimated by spreading the segment's duration over its characters
+    renderPlaybackWords(segment, text) {
+        const duration = Math.max(0, segment.end - segment.start);
+        let offset = 0;
+        return text.split(/(\s+)/).map(token => {
+            const start = offset;
+            offset += token.length;
+            if (!token.trim()) return this.escapeHtml(token);
+            const time = segment.start + duration * start / Math.max(1, text.length);
+            return `<span class="transcript-word" data-time="${time.toFixed(2)}">${this.escapeHtml(token)}</span>`;
+        }).join('');
+    }
+    
+    // Click-to-seek in the Review view: words seek to their estimated time, segments to their start
+    handleRichTranscriptClick(e) {
+        const segmentSpan = e.target.closest('.transcript-segment[data-start]');
+        if (!segmentSpan) return;
+        
+        const word = e.target.closest('.transcript-word');
+        const time = word ? parseFloat(word.dataset.time) : parseFloat(segmentSpan.dataset.start);
+        this.seekPlayback(segmentSpan.dataset.source, time);
+    }
+    
+    // In the textarea, a click inside the loaded source's text seeks to that point
+    handleTranscriptAreaClick() {
+        if (!this.playbackSourceKey) return;
+        
+        const caret = this.transcriptArea.selectionStart;
+        const range = this.segmentRanges.find(item => caret >= item.start && caret <= item.end);
+        if (!range || range.segment.start === null || this.getSourceKey(range.segment.source) !== this.playbackSourceKey) return;
+        
+        const fraction = (caret - range.start) / Math.max(1, range.end - range.start);
+        this.seekPlayback(this.playbackSourceKey, range.segment.start + fraction * (range.segment.end - range.segment.start));
+    }
+    
+    // Review methods
+    // Dictated segments below the confidence threshold are highlighted in the Review view, where
+    // the recognizer's alternatives (or a typed correction) can replace them
+    setTranscriptView(view) {
+        this.transcriptView = view;
+        this.transcriptContainer.classList.toggle('review-mode', view === 'review');
+        this.editViewBtn.classList.toggle('active', view === 'edit');
+        this.reviewViewBtn.classList.toggle('active', view === 'review');
+        this.closeAlternatives();
+        if (view === 'review') {
+            this.renderRichTranscript();
+        }
+    }
+    
+    isLowConfidence(segment) {
+        return !segment.reviewed && !segment.isError && segment.confidence !== null &&
+            segment.confidence < this.settings.confidenceThreshold;
+    }
+    
+    getLowConfidenceSegments() {
+        return this.transcript.segments.filter(segment => this.isLowConfidence(segment));
+    }
+    
+    // Same text as the textarea, with each segment wrapped so it can be highlighted and clicked
+    renderRichTranscript() {
+        const text = this.renderedTranscript;
+        let html = '';
+        let cursor = 0;
+        
+        const playable = this.getPlaybackSources();
+        
+        this.segmentRanges.forEach(({ segment, start, end }) => {
+            html += this.escapeHtml(text.slice(cursor, start));
+            const classes = ['transcript-segment'];
+            if (this.isLowConfidence(segment)) classes.push('low-confidence');
+            if (segment.id === this.reviewSegmentId) classes.push('active');
+            if (segment.id === this.playingSegmentId) classes.push('playing');
+            const clickable = this.isLowConfidence(segment) || (segment.alternatives && segment.alternatives.length > 0);
+            if (clickable) classes.push('correctable');
+            const title = segment.confidence !== null ? `Confidence ${Math.round(segment.confidence * 100)}%` : '';
+            
+            // Timed text with audio at hand seeks on click; the loaded source is split into words
+            const sourceKey = this.getSourceKey(segment.source);
+            const seekable = segment.start !== null && playable.has(sourceKey);
+            const seekAttributes = seekable ? ` data-start="${segment.start}" data-source="${this.escapeHtml(sourceKey)}"` : '';
+            if (seekable) classes.push('seekable');
+            const content = seekable && sourceKey === this.playbackSourceKey ?
+                this.renderPlaybackWords(segment, text.slice(start, end)) :
+                this.escapeHtml(text.slice(start, end));
+            
+            html += `<span class="${classes.join(' ')}" data-segment-id="${segment.id}"${seekAttributes} title="${title}"${clickable ? ` onclick="app.openAlternatives('${segment.id}')"` : ''}>${content}</span>`;
+            cursor = end;
+        });
+        html += this.escapeHtml(text.slice(cursor));
+        
+        this.transcriptRich.innerHTML = html || '<span class="transcript-placeholder">Transcribed text will appear here...</span>';
+    }
+    
+    updateReviewNav() {
+        const count = this.getLowConfidenceSegments().length;
+        this.lowConfidenceCount.textContent = count > 0 ?
+            `${count} low-confidence segment${count > 1 ? 's' : ''}` : 'No low-confidence segments';
+        this.prevLowConfidenceBtn.disabled = count === 0;
+        this.nextLowConfidenceBtn.disabled = count === 0;
+    }
+    
+    // Step through the flagged segments in transcript order, wrapping around at either end
+    navigateLowConfidence(direction) {
+        const flagged = this.getLowConfidenceSegments();
+        if (flagged.length === 0) return;
+        if (this.transcriptView !== 'review') {
+            this.setTranscriptView('review');
+        }
+        
+        const current = flagged.findIndex(segment => segment.id === this.reviewSegmentId);
+        const next = current === -1 ?
+            (direction > 0 ? 0 : flagged.length - 1) :
+            (current + direction + flagged.length) % flagged.length;
+        this.openAlternatives(flagged[next].id);
+    }
+    
+    openAlternatives(segmentId) {
+        const segment = this.transcript.segments.find(item => item.id === segmentId);
+        if (!segment) return;
+        
+        this.reviewSegmentId = segmentId;
+        this.renderRichTranscript();
+        const span = this.transcriptRich.querySelector(`[data-segment-id="${segmentId}"]`);
+        if (!span) return;
+        span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        
+        const alternatives = segment.alternatives || [];
+        this.alternativesPopover.innerHTML = `
+            <div class="alternatives-header">
+                <span>${segment.confidence !== null ? `Confidence ${Math.round(segment.confidence * 100)}%` : 'Correct segment'}</span>
+                <button class="alternatives-close" onclick="app.closeAlternatives()" title="Close">×</button>
+            </div>
+            ${alternatives.length > 0 ? `
+                <div class="alternatives-list">
+                    ${alternatives.map((alternative, index) => `
+                        <button class="alternative-btn" onclick="app.applyAlternative('${segmentId}', ${index})">
+                            ${this.escapeHtml(alternative.text)}
+                            ${alternative.confidence ? `<span class="alternative-confidence">${Math.round(alternative.confidence * 100)}%</span>` : ''}
+                        </button>
+                    `).join('')}
+                </div>
+            ` : '<div class="alternatives-empty">No alternatives from the recognizer.</div>'}
+            <input type="text" class="correction-input" id="correctionInput" value="${this.escapeHtml(segment.text)}">
+            <div class="alternatives-actions">
+                <button class="control-btn" onclick="app.saveCorrection('${segmentId}')">💾 Save</button>
+                <button class="control-btn" onclick="app.markReviewed('${segmentId}')">✓ Looks Right</button>
+            </div>
+        `;
+        
+        const containerRect = this.transcriptContainer.getBoundingClientRect();
+        const spanRect = span.getBoundingClientRect();
+        this.alternativesPopover.style.top = `${spanRect.bottom - containerRect.top + 6}px`;
+        this.alternativesPopover.style.left = `${Math.max(0, Math.min(spanRect.left - containerRect.left, containerRect.width - 320))}px`;
+        this.alternativesPopover.classList.add('open');
+        
+        const input = this.alternativesPopover.querySelector('#correctionInput');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCorrection(segmentId);
+        });
+    }
+    
+    closeAlternatives() {
+        if (!this.reviewSegmentId && !this.alternativesPopover.classList.contains('open')) return;
+        
+        this.reviewSegmentId = null;
+        this.alternativesPopover.classList.remove('open');
+        this.alternativesPopover.innerHTML = '';
+        const active = this.transcriptRich.querySelector('.transcript-segment.active');
+        if (active) active.classList.remove('active');
+    }
+    
+    // Swap in an alternative; the replaced text stays available as an alternative
+    applyAlternative(segmentId, index) {
+        const segment = this.transcript.segments.find(item => item.id === segmentId);
+        if (!segment || !segment.alternatives || !segment.alternatives[index]) return;
+        
+        const alternative = segment.alternatives[index];
+        segment.alternatives[index] = { text: segment.text, confidence: segment.confidence };
+        segment.text = alternative.text;
+        segment.confidence = alternative.confidence || segment.confidence;
+        this.commitReview(segment);
+    }
+    
+    saveCorrection(segmentId) {
+        const segment = this.transcript.segments.find(item => item.id === segmentId);
+        const input = this.alternativesPopover.querySelector('#correctionInput');
+        if (!segment || !input || !input.value.trim()) return;
+        
+        if (input.value.trim() !== segment.text) {
+            segment.text = input.value.trim();
+        }
+        this.commitReview(segment);
+    }
+    
+    markReviewed(segmentId) {
+        const segment = this.transcript.segments.find(item => item.id === segmentId);
+        if (segment) this.commitReview(segment);
+    }
+    
+    commitReview(segment) {
+        segment.reviewed = true;
+        segment.edited = true;
+        this.closeAlternatives();
+        this.refreshTranscriptView();
+        this.autoSaveTranscript();
+    }
+    
+    // Speaker methods
+    // Diarized segments carry a speaker name; renaming rewrites it on every segment of that source
+    getSpeakers(segments) {
+        return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+    }
+    
+    getSourceKey(source) {
+        return `${source.kind}:${source.id}`;
+    }
+    
+    renderSpeakerList() {
+        const groups = new Map();
+        this.transcript.segments.forEach(segment => {
+            const key = this.getSourceKey(segment.source);
+            if (!groups.has(key)) groups.set(key, { source: segment.source, segments: [] });
+            groups.get(key).segments.push(segment);
+        });
+        
+        const rows = [...groups.entries()]
+            .map(([key, group]) => ({ key, name: group.source.name || 'Dictation', speakers: this.getSpeakers(group.segments) }))
+            .filter(group => group.speakers.length > 1);
+        
+        const html = rows.map(group => `
+            <div class="speaker-row">
+                <span class="speaker-source">${this.escapeHtml(group.name)}</span>
+                ${group.speakers.map((speaker, index) => `
+                    <button class="speaker-chip" onclick="app.renameSpeaker('${group.key}', ${index})" title="Rename speaker">✏️ ${this.escapeHtml(speaker)}</button>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        if (this.speakerList.innerHTML !== html) {
+            this.speakerList.innerHTML = html;
+        }
+        this.speakerList.classList.toggle('open', rows.length > 0);
+    }
+    
+    renameSpeaker(sourceKey, speakerIndex) {
+        const segments = this.transcript.segments.filter(segment => this.getSourceKey(segment.source) === sourceKey);
+        const oldName = this.getSpeakers(segments)[speakerIndex];
+        if (!oldName) return;
+        
+        const name = prompt('Rename speaker:', oldName);
+        if (!name || !name.trim() || name.trim() === oldName) return;
+        
+        // Renaming to a name already used in this source merges the two speakers
+        segments.forEach(segment => {
+            if (segment.speaker === oldName) segment.speaker = name.trim();
+        });
+        this.refreshTranscriptView();
+        this.autoSaveTranscript();
+    }
+    
+    // "Name: text" paragraphs, one per speaker turn
+    formatSpeakerTurns(segments) {
+        const turns = [];
+        segments.forEach(segment => {
+            const lastTurn = turns[turns.length - 1];
+            if (lastTurn && lastTurn.speaker === segment.speaker) {
+                lastTurn.texts.push(segment.text);
+            } else {
+                turns.push({ speaker: segment.speaker, texts: [segment.text] });
+            }
+        });
+        return turns.map(turn => `${turn.speaker || 'Unknown speaker'}: ${turn.texts.join(' ')}`).join('\n\n');
+    }
+    
+    // Map a textarea edit back onto the segments it touched
+    applyTranscriptEdit(newValue) {
+        const oldValue = this.renderedTranscript;
+        
+        let prefix = 0;
+        while (prefix < oldValue.length && prefix < newValue.length && oldValue[prefix] === newValue[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < oldValue.length - prefix && suffix < newValue.length - prefix &&
+               oldValue[oldValue.length - 1 - suffix] === newValue[newValue.length - 1 - suffix]) {
+            suffix++;
+        }
+        
+        const changeStart = prefix;
+        const changeEnd = oldValue.length - suffix;
+        const inserted = newValue.slice(prefix, newValue.length - suffix);
+        const touched = this.segmentRanges.filter(range => range.start <= changeEnd && range.end >= changeStart);
+        
+        if (touched.length === 0) {
+            // Typing into an empty transcript or past the last segment starts a manual note;
+            // headers and separators are generated, so edits there are reverted
+            if (changeStart >= this.renderTranscriptText().text.length && inserted.trim()) {
+                this.addTranscriptSegment({ text: inserted.trim() });
+            }
+        } else {
+            const first = touched[0];
+            const last = touched[touched.length - 1];
+            const before = oldValue.slice(first.start, Math.max(changeStart, first.start));
+            const after = oldValue.slice(Math.min(changeEnd, last.end), last.end);
+            const mergedIds = new Set(touched.slice(1).map(range => range.segment.id));
+            
+            first.segment.text = before + inserted + after;
+            first.segment.edited = true;
+            if (last.segment.end !== null) {
+                first.segment.end = last.segment.end;
+            }
+            
+            this.transcript.segments = this.transcript.segments.filter(segment =>
+                !mergedIds.has(segment.id) && (segment !== first.segment || segment.text.trim()));
+        }
+        
+        const caret = this.transcriptArea.selectionStart;
+        this.refreshTranscriptView();
+        this.transcriptArea.setSelectionRange(caret, caret);
+    }
+    
+    clearTranscript() {
+        this.transcript = { segments: [] };
+        this.interimText = '';
+        this.refreshTranscriptView();
+    }
+    
+    // Persist the model if auto-save is on
+    // Session history is always kept; auto-save only controls restoring the transcript on reload
+    autoSaveTranscript() {
+        if (this.settings.autoSave) {
+            this.saveToLocalStorage();
+        }
+        this.scheduleSessionSave();
+    }
+    
+    // Session history methods
+    // Every transcript is kept as a named session in IndexedDB so clearing or starting over loses nothing
+    async initializeSessionHistory() {
+        try {
+            await this.openSessionDatabase();
+            
+            // A transcript restored from localStorage without a session still deserves a history entry
+            if (this.transcript.segments.length > 0) {
+                this.ensureCurrentSession('Restored transcript');
+                await this.saveCurrentSession();
+                await this.loadSessionRecording();
+            }
+        } catch (error) {
+            console.warn('Session history unavailable:', error);
+            this.historyList.innerHTML = `<div class="history-empty">${this.escapeHtml(`History is unavailable: ${error.message}`)}</div>`;
+            return;
+        }
+        
+        this.refreshHistoryList();
+    }
+    
+    openSessionDatabase() {
+        if (!this.sessionDbPromise) {
+            this.sessionDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported in this browser.'));
+                    return;
+                }
+                
+                const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        db.createObjectStore(SESSION_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                    }
+                    if (!db.objectStoreNames.contains(RECORDING_STORE)) {
+                        db.createObjectStore(RECORDING_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.sessionDbPromise;
+    }
+    
+    // Run one request against a store (sessions by default) and resolve once its transaction commits
+    async runSessionRequest(mode, operation, storeName = SESSION_STORE) {
+        const db = await this.openSessionDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    async getAllSessions() {
+        const sessions = await this.runSessionRequest('readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+    
+    getSession(sessionId) {
+        return this.runSessionRequest('readonly', store => store.get(sessionId));
+    }
+    
+    putSession(session) {
+        return this.runSessionRequest('readwrite', store => store.put(session));
+    }
+    
+    // Start a session for the working transcript if none is open yet
+    ensureCurrentSession(name) {
+        if (!this.currentSession) {
+            this.currentSession = {
+                id: this.generateId(),
+                name: name,
+                createdAt: new Date().toISOString(),
+                recordingIds: []
+            };
+            this.storeCurrentSessionRef();
+        }
+        return this.currentSession;
+    }
+    
+    storeCurrentSessionRef() {
+        try {
+            if (this.currentSession) {
+                localStorage.setItem('currentSession', JSON.stringify(this.currentSession));
+            } else {
+                localStorage.removeItem('currentSession');
+            }
+        } catch (error) {
+            console.warn('Failed to save current session:', error);
+        }
+    }
+    
+    buildSessionRecord() {
+        const segments = this.transcript.segments;
+        const sources = [];
+        segments.forEach(segment => {
+            const name = segment.source.name;
+            if (name && !sources.includes(name)) sources.push(name);
+        });
+        
+        // The most frequent segment language describes the session best
+        const languageCounts = {};
+        segments.forEach(segment => {
+            if (segment.language) {
+                languageCounts[segment.language] = (languageCounts[segment.language] || 0) + 1;
+            }
+        });
+        const language = Object.keys(languageCounts).sort((a, b) => languageCounts[b] - languageCounts[a])[0] ||
+            this.settings.language;
+        
+        return {
+            ...this.currentSession,
+            updatedAt: new Date().toISOString(),
+            language: language,
+            sources: sources,
+            text: this.renderTranscriptText().text,
+            segments: segments.map(segment => ({ ...segment }))
+        };
+    }
+    
+    scheduleSessionSave() {
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveCurrentSession(), 1000);
+    }
+    
+    // Write the working transcript to its session; the record is built before any await so callers can clear right after
+    async saveCurrentSession() {
+        clearTimeout(this.sessionSaveTimer);
+        if (this.transcript.segments.length === 0 && !this.currentSession) return;
+        
+        this.ensureCurrentSession(`Notes ${new Date().toLocaleString()}`);
+        const record = this.buildSessionRecord();
+        
+        try {
+            await this.putSession(record);
+            if (this.historySidebar.classList.contains('open')) {
+                this.refreshHistoryList();
+            }
+        } catch (error) {
+            console.warn('Failed to save session:', error);
+        }
+    }
+    
+    // Close the working session; it stays in history and the next content starts a new one
+    startNewSession() {
+        this.saveCurrentSession();
+        this.currentSession = null;
+        this.storeCurrentSessionRef();
+    }
+    
+    // Save and close the working session, then open an empty one for a new batch or dictation
+    beginSession(name) {
+        const recordingIds = this.currentSession ? this.currentSession.recordingIds : [];
+        if (this.transcript.segments.length > 0 || recordingIds.length > 0) {
+            this.startNewSession();
+            this.clearTranscript();
+            this.dictationUndo = [];
+            localStorage.removeItem('transcriptData');
+        }
+        this.currentSession = null;
+        return this.ensureCurrentSession(name);
+    }
+    
+    async refreshHistoryList() {
+        let sessions;
+        try {
+            sessions = await this.getAllSessions();
+        } catch (error) {
+            console.warn('Failed to load sessions:', error);
+            return;
+        }
+        
+        const query = this.historySearch.value.trim().toLowerCase();
+        const matches = query ?
+            sessions.filter(session => session.name.toLowerCase().includes(query) || session.text.toLowerCase().includes(query)) :
+            sessions;
+        
+        if (matches.length === 0) {
+            this.historyList.innerHTML = `<div class="history-empty">${query ? 'No sessions match your search.' : 'No saved sessions yet.'}</div>`;
+        } else {
+            this.historyList.innerHTML = matches.map(session => {
+                const isCurrent = this.currentSession && this.currentSession.id === session.id;
+                const details = [
+                    new Date(session.createdAt).toLocaleString(),
+                    session.language,
+                    `${session.sources.length} source${session.sources.length === 1 ? '' : 's'}`
+                ].join(' • ');
+                return `
+                    <div class="history-item${isCurrent ? ' current' : ''}">
+                        <div class="history-name">${this.escapeHtml(session.name)}</div>
+                        <div class="history-details">${this.escapeHtml(details)}</div>
+                        <div class="history-snippet">${this.escapeHtml(session.segments.map(segment => segment.text).join(' ').slice(0, 120))}</div>
+                        <div class="history-actions">
+                            <button onclick="app.openSession('${session.id}')" title="Open session">Open</button>
+                            <button onclick="app.renameSession('${session.id}')" title="Rename session">Rename</button>
+                            <button onclick="app.duplicateSession('${session.id}')" title="Duplicate session">Duplicate</button>
+                            <button onclick="app.deleteSession('${session.id}')" title="Delete session">Delete</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+        
+        this.updateStorageQuota();
+    }
+    
+    async updateStorageQuota() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            this.historyQuota.textContent = 'Storage usage is not available in this browser.';
+            return;
+        }
+        
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            const percent = quota ? ((usage / quota) * 100).toFixed(1) : '0';
+            this.historyQuota.textContent = `Storage: ${this.formatFileSize(usage)} of ${this.formatFileSize(quota)} used (${percent}%)`;
+        } catch (error) {
+            this.historyQuota.textContent = 'Storage usage is not available.';
+        }
+    }
+    
+    async openSession(sessionId) {
+        if (this.isRecording) {
+            this.showError('Stop recording before opening another session.');
+            return;
+        }
+        if (this.isProcessing) {
+            this.showError('Wait for processing to finish, or cancel it, before opening another session.');
+            return;
+        }
+        
+        await this.saveCurrentSession();
+        const session = await this.getSession(sessionId);
+        if (!session) {
+            this.showError('That session no longer exists.');
+            this.refreshHistoryList();
+            return;
+        }
+        
+        this.currentSession = {
+            id: session.id,
+            name: session.name,
+            createdAt: session.createdAt,
+            recordingIds: session.recordingIds || []
+        };
+        this.storeCurrentSessionRef();
+        this.transcript = { segments: session.segments };
+        this.dictationUndo = [];
+        
+        await this.loadSessionRecording();
+        this.interimText = '';
+        this.refreshTranscriptView();
+        this.autoSaveTranscript();
+        this.refreshHistoryList();
+        this.showSuccess(`Opened "${session.name}".`);
+    }
+    
+    async renameSession(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) return;
+        
+        const name = prompt('Rename session:', session.name);
+        if (!name || !name.trim() || name.trim() === session.name) return;
+        
+        session.name = name.trim();
+        await this.putSession(session);
+        if (this.currentSession && this.currentSession.id === sessionId) {
+            this.currentSession.name = session.name;
+            this.storeCurrentSessionRef();
+        }
+        this.refreshHistoryList();
+    }
+    
+    async duplicateSession(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session) return;
+        
+        const now = new Date().toISOString();
+        const copyId = this.generateId();
+        
+        // Recordings are copied too, so deleting either session leaves the other intact
+        const recordingIds = [];
+        for (const recordingId of session.recordingIds || []) {
+            const recording = await this.runSessionRequest('readonly', store => store.get(recordingId), RECORDING_STORE);
+            if (!recording) continue;
+            const copy = { ...recording, id: this.generateId(), sessionId: copyId };
+            await this.runSessionRequest('readwrite', store => store.put(copy), RECORDING_STORE);
+            recordingIds.push(copy.id);
+        }
+        
+        await this.putSession({
+            ...session,
+            id: copyId,
+            name: `${session.name} (copy)`,
+            createdAt: now,
+            updatedAt: now,
+            recordingIds: recordingIds
+        });
+        this.refreshHistoryList();
+        this.showSuccess(`Duplicated "${session.name}".`);
+    }
+    
+    async deleteSession(sessionId) {
+        const session = await this.getSession(sessionId);
+        if (!session || !confirm(`Delete "${session.name}"? This cannot be undone.`)) return;
+        
+        await this.runSessionRequest('readwrite', store => store.delete(sessionId));
+        for (const recordingId of session.recordingIds || []) {
+            await this.runSessionRequest('readwrite', store => store.delete(recordingId), RECORDING_STORE);
+        }
+        if (this.lastRecording && this.lastRecording.sessionId === sessionId) {
+            this.lastRecording = null;
+            this.updateRecordingUI();
+        }
+        
+        if (this.currentSession && this.currentSession.id === sessionId) {
+            clearTimeout(this.sessionSaveTimer);
+            this.currentSession = null;
+            this.storeCurrentSessionRef();
+            this.clearTranscript();
+            localStorage.removeItem('transcriptData');
+        }
+        
+        this.refreshHistoryList();
+        this.showSuccess(`Deleted "${session.name}".`);
+    }
+    
+    toggleHistory(open) {
+        this.historySidebar.classList.toggle('open', open);
+        if (this.historySidebar.classList.contains('open')) {
+            this.refreshHistoryList();
+        }
+    }
+    
+    // Raw audio capture methods
+    // The mic stream is recorded for the whole dictation session; pauses are left out of the
+    // recording and of the session clock so segment times line up with the audio
+    startAudioCapture() {
+        if (!window.MediaRecorder || !this.currentStream) {
+            console.warn('MediaRecorder not supported; session audio will not be recorded');
+            return;
+        }
+        
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const micSession = this.micSession;
+        const recorder = new MediaRecorder(this.currentStream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recorder.onstop = () => this.finishAudioCapture(micSession, chunks, recorder.mimeType || mimeType || 'audio/webm');
+        recorder.onerror = (event) => {
+            console.error('MediaRecorder error:', event.error);
+            this.showError(`Audio recording failed: ${event.error ? event.error.message : 'unknown error'}`);
+        };
+        
+        this.audioChunks = chunks;
+        this.mediaRecorder = recorder;
+        recorder.start(1000); // flush data every second so little is lost if the tab crashes
+    }
+    
+    stopAudioCapture() {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+    }
+    
+    pauseSessionClock() {
+        if (!this.micSession || this.micSession.pausedAt) return;
+        
+        this.micSession.pausedAt = Date.now();
+        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+            this.mediaRecorder.pause();
+        }
+    }
+    
+    resumeSessionClock() {
+        if (!this.micSession || !this.micSession.pausedAt) return;
+        
+        this.micSession.pausedMs += Date.now() - this.micSession.pausedAt;
+        this.micSession.pausedAt = null;
+        if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+            this.mediaRecorder.resume();
+        }
+    }
+    
+    // Seconds of (unpaused) session time at the given moment. A stopped session's clock ends at its duration.
+    getSessionTime(timestamp = Date.now(), session = this.micSession) {
+        const pausedMs = session.pausedMs + (session.pausedAt ? timestamp - session.pausedAt : 0);
+        const time = Math.max(0, (timestamp - session.startedAt - pausedMs) / 1000);
+        return session.duration ? Math.min(time, session.duration) : time;
+    }
+    
+    async finishAudioCapture(micSession, chunks, mimeType) {
+        if (chunks.length === 0) return;
+        
+        const recording = {
+            id: this.generateId(),
+            micSessionId: micSession.id,
+            sessionId: this.currentSession ? this.currentSession.id : null,
+            name: micSession.name,
+            blob: new Blob(chunks, { type: mimeType }),
+            mimeType: mimeType,
+            duration: micSession.duration || null,
+            speechRegions: micSession.speechRegions || [],
+            createdAt: new Date(micSession.startedAt).toISOString()
+        };
+        
+        this.lastRecording = recording;
+        this.updateRecordingUI();
+        
+        try {
+            await this.runSessionRequest('readwrite', store => store.put(recording), RECORDING_STORE);
+            if (this.currentSession && recording.sessionId === this.currentSession.id) {
+                this.currentSession.recordingIds.push(recording.id);
+                this.storeCurrentSessionRef();
+                this.scheduleSessionSave();
+            }
+        } catch (error) {
+            console.warn('Failed to save recording:', error);
+        }
+    }
+    
+    // Make the current session's latest recording available for download again
+    async loadSessionRecording() {
+        const recordingIds = this.currentSession ? this.currentSession.recordingIds : [];
+        this.lastRecording = recordingIds.length > 0 ?
+            await this.runSessionRequest('readonly', store => store.get(recordingIds[recordingIds.length - 1]), RECORDING_STORE) || null :
+            null;
+        this.updateRecordingUI();
+    }
+    
+    updateRecordingUI() {
+        const recording = this.lastRecording;
+        this.downloadRecordingBtn.disabled = !recording;
+        this.downloadWavBtn.disabled = !recording;
+        this.whisperBtn.disabled = !recording || this.isRetranscribing;
+        this.whisperBtn.textContent = this.isRetranscribing ? '⏳ Transcribing...' : '🎯 Re-transcribe with Whisper';
+        
+        if (!recording) {
+            this.recordingInfo.textContent = 'No recording yet.';
+            return;
+        }
+        
+        const duration = recording.duration ? ` • ${this.formatCaptionTime(recording.duration, '.').slice(0, 8)}` : '';
+        const speechSeconds = (recording.speechRegions || []).reduce((total, region) => total + region.end - region.start, 0);
+        const speech = speechSeconds > 0 ? ` • ${this.formatDuration(speechSeconds)} of speech` : '';
+        this.recordingInfo.textContent = `${recording.name} • ${this.formatFileSize(recording.blob.size)}${duration}${speech}`;
+        this.downloadRecordingBtn.textContent = `⬇️ ${this.getRecordingExtension(recording.mimeType).toUpperCase()}`;
+    }
+    
+    getRecordingExtension(mimeType) {
+        if (mimeType.includes('ogg')) return 'ogg';
+        if (mimeType.includes('mp4')) return 'm4a';
+        return 'webm';
+    }
+    
+    getRecordingFileName(recording, extension) {
+        const timestamp = recording.createdAt.slice(0, 19).replace(/:/g, '-');
+        return `recording_${timestamp}.${extension}`;
+    }
+    
+    async downloadRecording(format) {
+        const recording = this.lastRecording;
+        if (!recording) {
+            this.showError('No recording to download. Record a dictation session first.');
+            return;
+        }
+        
+        if (format !== 'wav') {
+            this.downloadBlob(recording.blob, this.getRecordingFileName(recording, this.getRecordingExtension(recording.mimeType)));
+            return;
+        }
+        
+        try {
+            const wavBlob = await this.convertToWav(recording.blob);
+            this.downloadBlob(wavBlob, this.getRecordingFileName(recording, 'wav'));
+        } catch (error) {
+            console.error('WAV conversion failed:', error);
+            this.showError(`Could not convert the recording to WAV: ${error.message}`);
+        }
+    }
+    
+    // Decode compressed audio in the browser and re-encode it as 16-bit PCM WAV
+    async convertToWav(blob) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = this.audioContext || new AudioContextClass();
+        const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+        
+        // Copies, because the transferred buffers are detached from this thread
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(new Float32Array(audioBuffer.getChannelData(channel)));
+        }
+        
+        const { buffer } = await this.runProcessingTask('encodeWav', { channels, sampleRate: audioBuffer.sampleRate }, {
+            transfer: channels.map(channel => channel.buffer)
+        });
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+    
+    // Whisper re-transcription methods
+    // The recording is sent to the backend and the result is compared with the browser transcript
+    async retranscribeRecording() {
+        const recording = this.lastRecording;
+        if (!recording || this.isRetranscribing) return;
+        
+        this.isRetranscribing = true;
+        this.updateRecordingUI();
+        this.clearMessages();
+        
+        try {
+            const extension = this.getRecordingExtension(recording.mimeType);
+            const file = new File([recording.blob], this.getRecordingFileName(recording, extension), { type: recording.mimeType });
+            const onStatus = (job) => {
+                this.whisperBtn.textContent = `⏳ ${this.getJobStatusLabel(job)}`;
+            };
+            const prepared = await this.preprocessAudioFile(file, onStatus);
+            // The dictation language is known, and the comparison is between two transcripts
+            const data = await this.transcribeAudio(prepared.file, onStatus, null,
+                this.getUploadFields({ ...prepared.fields, language: this.settings.language.split('-')[0], task: 'transcribe' }));
+            
+            const whisperSegments = (data.segments || []).filter(segment => segment.text && segment.text.trim());
+            if (whisperSegments.length === 0 && data.result && data.result.trim()) {
+                whisperSegments.push({ start: 0, end: recording.duration || 0, text: data.result.trim() });
+            }
+            if (whisperSegments.length === 0) {
+                throw new Error('Whisper returned an empty transcript.');
+            }
+            
+            this.showComparison(recording, whisperSegments);
+        } catch (error) {
+            console.error('Whisper re-transcription failed:', error);
+            this.showError(`Whisper re-transcription failed: ${error.message}`);
+        } finally {
+            this.isRetranscribing = false;
+            this.updateRecordingUI();
+        }
+    }
+    
+    showComparison(recording, whisperSegments) {
+        const browserSegments = this.transcript.segments.filter(segment =>
+            segment.source.kind === 'mic' && segment.source.id === recording.micSessionId);
+        const source = browserSegments.length > 0 ?
+            browserSegments[0].source :
+            { kind: 'mic', id: recording.micSessionId, name: recording.name };
+        const language = browserSegments.length > 0 ? browserSegments[0].language : this.settings.language;
+        
+        this.comparison = {
+            source: source,
+            rows: this.alignTranscripts(browserSegments, whisperSegments.map(segment => ({
+                start: segment.start,
+                end: segment.end,
+                language: language,
+                speaker: segment.speaker || null,
+                text: segment.text.trim(),
+                engine: 'whisper'
+            })))
+        };
+        
+        this.renderComparison();
+        this.comparisonPanel.classList.add('open');
+        this.comparisonPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    // Pair each Whisper segment with the browser segment it overlaps most; unmatched ones get their own row
+    alignTranscripts(browserSegments, whisperSegments) {
+        const rows = browserSegments.map(segment => ({
+            start: segment.start,
+            browser: [segment],
+            whisper: [],
+            choice: 'whisper'
+        }));
+        
+        whisperSegments.forEach(segment => {
+            let bestRow = null;
+            let bestOverlap = 0;
+            rows.forEach(row => {
+                const browser = row.browser[0];
+                if (!browser || browser.start === null || browser.end === null) return;
+                const overlap = Math.min(browser.end, segment.end) - Math.max(browser.start, segment.start);
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    bestRow = row;
+                }
+            });
+            
+            if (bestRow) {
+                bestRow.whisper.push(segment);
+            } else {
+                rows.push({ start: segment.start, browser: [], whisper: [segment], choice: 'whisper' });
+            }
+        });
+        
+        // Rows without Whisper text default to the browser side so nothing is dropped silently
+        rows.forEach(row => {
+            if (row.whisper.length === 0) row.choice = 'browser';
+        });
+        
+        return rows.sort((a, b) => (a.start || 0) - (b.start || 0));
+    }
+    
+    renderComparison() {
+        const rows = this.comparison.rows;
+        const joinText = (segments) => segments.map(segment => segment.text).join(' ');
+        
+        this.comparisonRows.innerHTML = rows.map((row, index) => {
+            const time = row.start !== null ? this.formatCaptionTime(row.start, '.').slice(3, 8) : '';
+            const cell = (side, segments) => `
+                <label class="comparison-cell ${row.choice === side ? 'selected' : ''}">
+                    <input type="radio" name="comparison-${index}" ${row.choice === side ? 'checked' : ''}
+                        onchange="app.setComparisonChoice(${index}, '${side}')">
+                    <span>${segments.length > 0 ? this.escapeHtml(joinText(segments)) : '<em>(nothing)</em>'}</span>
+                </label>
+            `;
+            
+            return `
+                <div class="comparison-row">
+                    <div class="comparison-time">${time}</div>
+                    ${cell('browser', row.browser)}
+                    ${cell('whisper', row.whisper)}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    setComparisonChoice(index, choice) {
+        if (!this.comparison) return;
+        this.comparison.rows[index].choice = choice;
+        this.renderComparison();
+    }
+    
+    // Replace the dictation's segments with the chosen side of every row
+    applyComparison(choice = null) {
+        if (!this.comparison) return;
+        
+        const segments = [];
+        this.comparison.rows.forEach(row => {
+            segments.push(...row[choice || row.choice]);
+        });
+        
+        this.setSourceSegments(this.comparison.source, segments);
+        this.refreshTranscriptView();
+        this.autoSaveTranscript();
+        this.closeComparison();
+        this.showSuccess('Transcript updated with the selected segments.');
+    }
+    
+    closeComparison() {
+        this.comparison = null;
+        this.comparisonRows.innerHTML = '';
+        this.comparisonPanel.classList.remove('open');
+    }
+    
+    // Voice recognition methods
+    async startRecognition() {
+        if (!this.recognition) {
+            this.showError('Speech recognition not available');
             return;
         }
         
         try {
-            // Request microphone permission
-            this.currentStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            
             this.clearMessages();
+            // Request microphone permission once per session; restarts reuse the stream
+            if (!this.currentStream) {
+                this.currentStream = await this.openMicrophone();
+            }
+            
             this.isPaused = false;
-            this.recognition.start();
+            if (!this.micSession) {
+                const startedAt = Date.now();
+                this.micSession = {
+                    id: this.generateId(),
+                    name: `Dictation ${new Date(startedAt).toLocaleString()}`,
+                    startedAt: startedAt,
+                    pausedMs: 0,
+                    pausedAt: null,
+                    speechRegions: []
+                };
+                // Dictation started during a batch joins the batch's session
+                if (this.isProcessing) {
+                    this.ensureCurrentSession(this.micSession.name);
+                } else {
+                    this.beginSession(this.micSession.name);
+                }
+                this.startAudioCapture();
+                
+                // The page's AudioContext starts suspended until a user gesture such as this one
+                if (this.audioContext && this.audioContext.state === 'suspended') {
+                    this.audioContext.resume();
+                }
+                this.connectMicrophone();
+                this.startVoiceActivityDetection();
+            } else {
+                this.resumeSessionClock();
+            }
+            this.startRecognizer();
         } catch (error) {
             this.handleRecognitionError(error.name || error.message);
         }
@@ -611,26 +5122,42 @@ Contents of "${file.name}" would be extracted and processed individually.`);
     stopRecognition() {
         if (this.recognition && this.isRecording) {
             this.isPaused = true;
+            this.stoppingMicSession = this.micSession;
             this.recognition.stop();
         }
         
+        if (this.micSession) {
+            this.stopVoiceActivityDetection();
+            this.micSession.duration = this.getSessionTime();
+            this.stopAudioCapture();
+        }
+        this.disconnectMicrophone();
+        
         if (this.currentStream) {
             this.currentStream.getTracks().forEach(track => track.stop());
             this.currentStream = null;
         }
+        
+        // Undo snapshots belong to the session that just ended
+        this.micSession = null;
+        this.dictationUndo = [];
+        this.interimText = '';
+        this.refreshTranscriptView();
     }
     
     pauseRecognition() {
         if (this.isRecording) {
             this.isPaused = true;
             this.recognition.stop();
+            this.pauseSessionClock();
         }
     }
     
     resumeRecognition() {
-        if (this.isPaused) {
+        if (this.isPaused && this.micSession) {
             this.isPaused = false;
-            this.recognition.start();
+            this.resumeSessionClock();
+            this.startRecognizer();
         }
     }
     
@@ -667,15 +5194,23 @@ Contents of "${file.name}" would be extracted and processed individually.`);
             case 'not-allowed':
             case 'NotAllowedError':
                 message += 'Microphone access denied. Please allow microphone access and try again.';
+                this.stopRecognition();
                 break;
             case 'no-speech':
-                message += 'No speech detected. Please speak more clearly.';
+                // A silent input is usually the wrong or a muted device rather than a quiet speaker
+                if (this.isMicSilent()) {
+                    const track = this.getMicTrack();
+                    message += `No sound is coming from ${track && track.label ? track.label : 'the microphone'}. Check that the right microphone is selected.`;
+                } else {
+                    message += 'No speech detected. Please speak more clearly.';
+                }
                 break;
             case 'network':
                 message += 'Network error. Please check your internet connection.';
                 break;
             case 'audio-capture':
                 message += 'Audio capture failed. Please check your microphone.';
+                this.stopRecognition();
                 break;
             case 'aborted':
                 return; // Don't show error for manual stops
@@ -688,23 +5223,287 @@ Contents of "${file.name}" would be extracted and processed individually.`);
         this.updateRecorderUI();
     }
     
+    // Microphone methods
+    // The chosen input device and its processing options are persisted in settings. The device
+    // list is refreshed when devices come and go; labels only appear once mic access is granted.
+    async populateMicDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            this.micDeviceSelect.style.display = 'none';
+            return;
+        }
+        
+        let devices = [];
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices()).filter(device =>
+                device.kind === 'audioinput' && !['default', 'communications'].includes(device.deviceId));
+        } catch (error) {
+            console.warn('Failed to list microphones:', error);
+        }
+        
+        const selected = this.settings.micDeviceId;
+        const options = devices.map((device, index) =>
+            `<option value="${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.label || `Microphone ${index + 1}`)}</option>`);
+        // A saved device that is unplugged stays selected, so it is used again when it comes back
+        if (selected && !devices.some(device => device.deviceId === selected)) {
+            options.push(`<option value="${this.escapeHtml(selected)}">Saved microphone (not connected)</option>`);
+        }
+        
+        this.micDeviceSelect.innerHTML = `<option value="">Default microphone</option>${options.join('')}`;
+        this.micDeviceSelect.value = selected;
+    }
+    
+    getMicConstraints(deviceId = this.settings.micDeviceId) {
+        return {
+            deviceId: deviceId ? { exact: deviceId } : undefined,
+            echoCancellation: this.settings.micEchoCancellation,
+            noiseSuppression: this.settings.micNoiseSuppression,
+            autoGainControl: this.settings.micAutoGainControl
+        };
+    }
+    
+    async openMicrophone() {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: this.getMicConstraints() });
+        } catch (error) {
+            if (!this.settings.micDeviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+            this.showError('The selected microphone is not connected. Using the default microphone instead.');
+            stream = await navigator.mediaDevices.getUserMedia({ audio: this.getMicConstraints('') });
+        }
+        
+        // Unplugging the device ends the track; stop the session instead of recording silence
+        const track = stream.getAudioTracks ? stream.getAudioTracks()[0] : null;
+        if (track) {
+            track.addEventListener('ended', () => {
+                if (this.currentStream === stream) {
+                    this.stopRecognition();
+                    this.showError('The microphone was disconnected. Dictation stopped.');
+                }
+            });
+        }
+        
+        this.populateMicDevices(); // labels are available now
+        return stream;
+    }
+    
+    getMicTrack() {
+        const tracks = this.currentStream && this.currentStream.getAudioTracks ? this.currentStream.getAudioTracks() : [];
+        return tracks.find(track => track.readyState === 'live') || null;
+    }
+    
+    // Where the browser supports it, recognition listens to the selected device's track;
+    // elsewhere it uses the system default microphone whatever is selected
+    startRecognizer() {
+        const track = this.getMicTrack();
+        if (track) {
+            try {
+                this.recognition.start(track);
+                return;
+            } catch (error) {
+                if (error.name !== 'TypeError') throw error;
+            }
+        }
+        this.recognition.start();
+    }
+    
+    // Processing toggles apply to the running stream right away
+    applyMicProcessing() {
+        const track = this.getMicTrack();
+        if (!track || !track.applyConstraints) return;
+        
+        const { echoCancellation, noiseSuppression, autoGainControl } = this.getMicConstraints();
+        track.applyConstraints({ echoCancellation, noiseSuppression, autoGainControl }).catch(error => {
+            console.warn('Failed to apply microphone settings:', error);
+        });
+    }
+    
+    // Input level in dBFS on the meter, with warnings for clipping and for an input that stays
+    // near silent (usually the wrong device, or a muted one)
+    updateLevelMeter(level, peak) {
+        const vad = this.vad;
+        const now = Date.now();
+        const db = level > 0 ? 20 * Math.log10(level) : LEVEL_METER.floorDb;
+        this.levelMeterFill.style.width = `${Math.max(0, Math.min(100, (1 - db / LEVEL_METER.floorDb) * 100))}%`;
+        
+        if (peak >= LEVEL_METER.clipLevel) vad.clippedAt = now;
+        if (level >= LEVEL_METER.quietLevel) vad.quietSince = now;
+        
+        let state = 'ok';
+        let message = this.getMicTrack() ? this.getMicTrack().label : '';
+        if (now - vad.clippedAt < 1000) {
+            state = 'clipping';
+            message = 'Clipping: move back or lower the input gain';
+        } else if (now - vad.quietSince >= LEVEL_METER.quietSeconds * 1000) {
+            state = 'quiet';
+            message = 'Too quiet: check the selected microphone';
+        }
+        this.levelMeter.className = `level-meter level-${state}`;
+        this.levelMeterStatus.textContent = message;
+    }
+    
+    isMicSilent() {
+        return Boolean(this.vad) && Date.now() - this.vad.quietSince >= LEVEL_METER.quietSeconds * 1000;
+    }
+    
+    // Voice activity detection methods
+    // The mic level is read from the visualizer's analyser every VAD_SETTINGS.frameMs. Speech is
+    // anything clearly above a noise floor that tracks the quietest recent level. Detected speech
+    // regions are kept on the mic session (seconds of session time, the same timeline as the
+    // transcript and the recording) and saved with the recording.
+    startVoiceActivityDetection() {
+        if (!this.analyser || this.vad) return;
+        
+        this.vad = {
+            samples: new Float32Array(this.analyser.fftSize),
+            noiseFloor: null,
+            speaking: false,
+            speechFrames: 0,
+            silenceFrames: 0,
+            regionStart: null,
+            lastSpeechEnd: null,
+            lastActivity: Date.now(),
+            quietSince: Date.now(),
+            clippedAt: 0,
+            utteranceOnset: null,
+            paragraphPending: false,
+            timer: setInterval(() => this.detectVoiceActivity(), VAD_SETTINGS.frameMs)
+        };
+        this.micLevelPanel.classList.add('open');
+    }
+    
+    stopVoiceActivityDetection() {
+        if (!this.vad) return;
+        this.endSpeechRegion();
+        clearInterval(this.vad.timer);
+        this.vad = null;
+        this.micButton.classList.remove('speaking');
+        this.micLevelPanel.classList.remove('open');
+    }
+    
+    detectVoiceActivity() {
+        const vad = this.vad;
+        if (!vad || !this.micSession) return;
+        
+        // Paused time is not part of the session timeline and never counts as silence
+        if (this.isPaused) {
+            this.endSpeechRegion();
+            vad.lastActivity = Date.now();
+            vad.quietSince = Date.now();
+            this.levelMeterFill.style.width = '0%';
+            return;
+        }
+        
+        this.analyser.getFloatTimeDomainData(vad.samples);
+        let sum = 0;
+        let peak = 0;
+        for (let i = 0; i < vad.samples.length; i++) {
+            sum += vad.samples[i] * vad.samples[i];
+            peak = Math.max(peak, Math.abs(vad.samples[i]));
+        }
+        const level = Math.sqrt(sum / vad.samples.length);
+        this.updateLevelMeter(level, peak);
+        
+        // Minimum tracking: the floor drops to quiet frames at once and creeps up otherwise
+        vad.noiseFloor = vad.noiseFloor === null || level < vad.noiseFloor ?
+            Math.max(level, VAD_SETTINGS.minNoiseFloor) : vad.noiseFloor * VAD_SETTINGS.noiseFloorRise;
+        const isSpeech = level > Math.max(VAD_SETTINGS.minSpeechLevel, vad.noiseFloor * VAD_SETTINGS.speechRatio);
+        
+        const now = Date.now();
+        if (isSpeech) {
+            vad.speechFrames++;
+            vad.silenceFrames = 0;
+            vad.lastActivity = now;
+            if (!vad.speaking && vad.speechFrames * VAD_SETTINGS.frameMs >= VAD_SETTINGS.onsetMs) {
+                this.beginSpeechRegion(this.getSessionTime(now - vad.speechFrames * VAD_SETTINGS.frameMs));
+            }
+        } else {
+            vad.speechFrames = 0;
+            vad.silenceFrames++;
+            if (vad.speaking && vad.silenceFrames * VAD_SETTINGS.frameMs >= VAD_SETTINGS.utterancePauseMs) {
+                this.endSpeechRegion(this.getSessionTime(now - vad.silenceFrames * VAD_SETTINGS.frameMs));
+                this.finishUtterance();
+            }
+        }
+        
+        const autoStop = this.settings.autoStopSilence;
+        if (autoStop > 0 && !vad.speaking && now - vad.lastActivity >= autoStop * 1000) {
+            this.stopRecognition();
+            this.showSuccess(`Dictation stopped after ${autoStop} seconds of silence.`);
+        }
+    }
+    
+    beginSpeechRegion(start) {
+        const vad = this.vad;
+        vad.speaking = true;
+        vad.regionStart = start;
+        if (vad.utteranceOnset === null) vad.utteranceOnset = start;
+        
+        // A long silence before this speech starts a new paragraph once its text arrives
+        const paragraphPause = this.settings.paragraphPause;
+        if (paragraphPause > 0 && vad.lastSpeechEnd !== null && start - vad.lastSpeechEnd >= paragraphPause) {
+            vad.paragraphPending = true;
+        }
+        this.micButton.classList.add('speaking');
+    }
+    
+    endSpeechRegion(end = this.micSession ? this.getSessionTime() : null) {
+        const vad = this.vad;
+        if (!vad || !vad.speaking) return;
+        
+        vad.speaking = false;
+        vad.lastSpeechEnd = end;
+        if (this.micSession && end > vad.regionStart) {
+            this.micSession.speechRegions.push({ start: vad.regionStart, end: end });
+        }
+        this.micButton.classList.remove('speaking');
+    }
+    
+    // At a pause the recognizer is stopped so it finalizes what it heard as one utterance;
+    // onend restarts it while the speaker is still silent
+    finishUtterance() {
+        if (this.settings.vadSegmentation && this.interimText && this.isRecording) {
+            this.recognition.stop();
+        }
+    }
+    
+    // End the previous dictated segment with a paragraph break, unless it ends with a break already
+    breakDictationParagraph(source) {
+        const last = this.getLastDictatedSegment(source);
+        if (last && !/\n\s*$/.test(last.text)) {
+            this.pushDictationUndo(source);
+            last.text = `${last.text.replace(/\s+$/, '')}\n\n`;
+        }
+    }
+    
     // Audio visualization methods
     startVisualization() {
-        if (!this.audioContext || !this.analyser || !this.currentStream) return;
-        
-        this.microphone = this.audioContext.createMediaStreamSource(this.currentStream);
-        this.microphone.connect(this.analyser);
+        if (!this.connectMicrophone()) return;
         
         this.visualizer.style.display = 'block';
         this.drawVisualization();
     }
     
     stopVisualization() {
+        this.visualizer.style.display = 'none';
+    }
+    
+    // The analyser stays connected for the whole mic session, across recognition restarts,
+    // because voice activity detection reads it too
+    connectMicrophone() {
+        if (!this.audioContext || !this.analyser || !this.currentStream) return false;
+        
+        if (!this.microphone) {
+            this.microphone = this.audioContext.createMediaStreamSource(this.currentStream);
+            this.microphone.connect(this.analyser);
+        }
+        return true;
+    }
+    
+    disconnectMicrophone() {
         if (this.microphone) {
             this.microphone.disconnect();
             this.microphone = null;
         }
-        this.visualizer.style.display = 'none';
     }
     
     drawVisualization() {
@@ -740,7 +5539,7 @@ Contents of "${file.name}" would be extracted and processed individually.`);
     
     // Action methods
     async copyToClipboard() {
-        const text = this.transcriptArea.value;
+        const text = this.renderTranscriptText().text;
         if (!text.trim()) {
             this.showError('No text to copy.');
             return;
@@ -758,21 +5557,107 @@ Contents of "${file.name}" would be extracted and processed individually.`);
     }
     
     downloadTranscript() {
-        const text = this.transcriptArea.value;
+        const text = this.renderTranscriptText().text;
         if (!text.trim()) {
             this.showError('No text to download.');
             return;
         }
         
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-        const filename = `all_transcripts_${timestamp}.txt`;
+        const filename = `transcript_${timestamp}.txt`;
+        
+        this.downloadTextFile(text, filename);
+        this.showSuccess('Transcript downloaded!');
+    }
+    
+    // Bundle every processed file into a ZIP with one .txt per source and a manifest.json
+    async downloadAllFiles() {
+        if (this.processedFiles.size === 0) {
+            this.showError('No processed files to download. Process some files first.');
+            return;
+        }
+        
+        if (!window.JSZip) {
+            this.showError('ZIP export is unavailable because JSZip failed to load.');
+            return;
+        }
+        
+        const zip = new JSZip();
+        const usedNames = new Set(['manifest.json']);
+        const manifestFiles = [];
+        
+        this.processedFiles.forEach((entry, fileId) => {
+            let output = null;
+            let translation = null;
+            
+            // Archives are represented by their entries; only leaf files get a text output.
+            // Translations sit next to the original as name.<language>.txt
+            if (entry.status === 'completed' && !entry.isArchive) {
+                output = this.getUniqueName(entry.outputName, usedNames);
+                zip.file(output, this.getProcessedFileContent(fileId, entry));
+                
+                const translated = this.formatTranslation(this.getFileTranscriptSegments(fileId));
+                if (translated) {
+                    translation = {
+                        language: translated.language,
+                        output: this.getUniqueName(output.replace(/\.txt$/, `.${translated.language}.txt`), usedNames)
+                    };
+                    zip.file(translation.output, translated.text);
+                }
+            }
+            
+            manifestFiles.push({
+                source: entry.name,
+                output: output,
+                language: entry.language,
+                translation: translation,
+                size: entry.size,
+                type: entry.type,
+                processedAt: entry.timestamp.toISOString(),
+                status: entry.status,
+                error: entry.error
+            });
+        });
+        
+        const generatedAt = new Date();
+        zip.file('manifest.json', JSON.stringify({
+            generatedAt: generatedAt.toISOString(),
+            fileCount: manifestFiles.length,
+            files: manifestFiles
+        }, null, 2));
+        
+        try {
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            const timestamp = generatedAt.toISOString().slice(0, 19).replace(/:/g, '-');
+            this.downloadBlob(blob, `transcripts_${timestamp}.zip`);
+            this.showSuccess(`Downloaded ${this.processedFiles.size} processed file(s) as a ZIP bundle!`);
+        } catch (error) {
+            console.error('Failed to build ZIP bundle:', error);
+            this.showError(`Failed to build ZIP bundle: ${error.message}`);
+        }
+    }
+    
+    getFileTranscriptSegments(fileId) {
+        return this.transcript.segments.filter(segment => segment.source.kind === 'file' && segment.source.id === fileId);
+    }
+    
+    // Diarized files are rebuilt from the transcript so renamed speakers are exported by name
+    getProcessedFileContent(fileId, entry) {
+        const segments = this.getFileTranscriptSegments(fileId);
+        if (this.getSpeakers(segments).length < 2) {
+            return entry.content;
+        }
         
-        this.downloadTextFile(combinedContent, filename);
-        this.showSuccess(`Downloaded ${this.processedFiles.size} processed files!`);
+        return `${this.formatTimestamp(entry.timestamp)}Transcription of: ${entry.name}
+
+${this.formatSpeakerTurns(segments)}`;
     }
     
     downloadTextFile(content, filename) {
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+        this.downloadBlob(new Blob([content], { type: 'text/plain;charset=utf-8' }), filename);
+    }
+    
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = url;
@@ -783,8 +5668,160 @@ Contents of "${file.name}" would be extracted and processed individually.`);
         URL.revokeObjectURL(url);
     }
     
+    // Caption export methods
+    // Collect timed segments per source (file or dictation session) from the transcript model
+    getCaptionSources() {
+        const sources = new Map();
+        let dictationCount = 0;
+        
+        this.transcript.segments.forEach(segment => {
+            if (segment.start === null || segment.end === null || segment.isError) return;
+            
+            const key = `${segment.source.kind}:${segment.source.id}`;
+            if (!sources.has(key)) {
+                const name = segment.source.kind === 'file' ?
+                    this.getArchiveOutputName(segment.source.name).replace(/\.txt$/, '') :
+                    `dictation_${++dictationCount}`;
+                sources.set(key, { name, segments: [] });
+            }
+            sources.get(key).segments.push(segment);
+        });
+        
+        return Array.from(sources.values());
+    }
+    
+    // Export SRT or WebVTT captions; several timed sources are bundled into a ZIP
+    async exportCaptions(format) {
+        const sources = this.getCaptionSources();
+        if (sources.length === 0) {
+            this.showError('No timed segments to export. Transcribe audio through the backend or dictate with the microphone first.');
+            return;
+        }
+        
+        const mimeType = format === 'srt' ? 'application/x-subrip' : 'text/vtt';
+        const usedNames = new Set();
+        const files = sources.map(source => ({
+            name: this.getUniqueName(`${source.name}.${format}`, usedNames),
+            content: this.buildCaptionFile(source.segments, format)
+        }));
+        
+        if (files.length === 1) {
+            this.downloadBlob(new Blob([files[0].content], { type: `${mimeType};charset=utf-8` }), files[0].name);
+            this.showSuccess(`Exported ${files[0].name}`);
+            return;
+        }
+        
+        if (!window.JSZip) {
+            this.showError('Exporting several caption files needs JSZip, which failed to load.');
+            return;
+        }
+        
+        const zip = new JSZip();
+        files.forEach(file => zip.file(file.name, file.content));
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        this.downloadBlob(blob, `captions_${format}_${timestamp}.zip`);
+        this.showSuccess(`Exported ${files.length} caption files as a ZIP bundle!`);
+    }
+    
+    buildCaptionFile(segments, format) {
+        const separator = format === 'srt' ? ',' : '.';
+        const cues = this.buildCaptionCues(segments).map((cue, index) => {
+            const timing = `${this.formatCaptionTime(cue.start, separator)} --> ${this.formatCaptionTime(cue.end, separator)}`;
+            let text = format === 'srt' ? cue.lines.join('\n') : this.escapeVttText(cue.lines.join('\n'));
+            // WebVTT has voice spans for speakers; SRT just gets a "Name:" prefix. The voice
+            // annotation runs to the first ">" and cannot span lines, so the name is escaped too.
+            if (cue.speaker) {
+                text = format === 'srt' ? `${cue.speaker}: ${text}` :
+                    `<v ${this.escapeVttText(cue.speaker.replace(/\s+/g, ' ').trim())}>${text}`;
+            }
+            return format === 'srt' ? `${index + 1}\n${timing}\n${text}` : `${timing}\n${text}`;
+        });
+        
+        return format === 'srt' ? `${cues.join('\n\n')}\n` : `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+    
+    // WebVTT cue text is markup: "&", "<" and ">" must be escaped, which also breaks up a "-->" in the text
+    escapeVttText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
+    // Split timed segments into cues of at most two lines and the configured maximum duration
+    buildCaptionCues(segments) {
+        const maxLineLength = this.settings.captionMaxLineLength;
+        const maxDuration = this.settings.captionMaxCueDuration;
+        const showSpeakers = this.getSpeakers(segments).length > 1;
+        const cues = [];
+        
+        segments.forEach(segment => {
+            const words = segment.text.trim().split(/\s+/).filter(Boolean);
+            if (words.length === 0) return;
+            
+            // Timing is spread across the segment in proportion to the characters in each cue
+            const end = Math.max(segment.end, segment.start + 1);
+            const secondsPerChar = (end - segment.start) / words.join(' ').length;
+            const chunks = this.splitCaptionWords(words, maxLineLength * 2)
+                .flatMap(chunk => this.splitCaptionChunk(chunk, secondsPerChar, maxDuration));
+            
+            let cursor = segment.start;
+            chunks.forEach((chunk, index) => {
+                const cueEnd = index === chunks.length - 1 ?
+                    end : cursor + (chunk.join(' ').length + 1) * secondsPerChar;
+                cues.push({
+                    start: cursor,
+                    end: cueEnd,
+                    speaker: showSpeakers ? segment.speaker : null,
+                    lines: this.splitCaptionWords(chunk, maxLineLength).map(line => line.join(' '))
+                });
+                cursor = cueEnd;
+            });
+        });
+        
+        return cues;
+    }
+    
+    // Greedily group words so each group fits within maxLength characters
+    splitCaptionWords(words, maxLength) {
+        const groups = [];
+        let current = [];
+        
+        words.forEach(word => {
+            if (current.length > 0 && [...current, word].join(' ').length > maxLength) {
+                groups.push(current);
+                current = [];
+            }
+            current.push(word);
+        });
+        
+        if (current.length > 0) groups.push(current);
+        return groups;
+    }
+    
+    // Halve a chunk until each part's share of the segment fits within maxDuration
+    splitCaptionChunk(words, secondsPerChar, maxDuration) {
+        if (words.length < 2 || words.join(' ').length * secondsPerChar <= maxDuration) {
+            return [words];
+        }
+        
+        const middle = Math.ceil(words.length / 2);
+        return [
+            ...this.splitCaptionChunk(words.slice(0, middle), secondsPerChar, maxDuration),
+            ...this.splitCaptionChunk(words.slice(middle), secondsPerChar, maxDuration)
+        ];
+    }
+    
+    formatCaptionTime(seconds, millisecondSeparator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisecondSeparator}${pad(ms, 3)}`;
+    }
+    
     speakText() {
-        const text = this.transcriptArea.value;
+        const text = this.getTranscriptPlainText();
         if (!text.trim()) {
             this.showError('No text to speak.');
             return;
@@ -828,45 +5865,119 @@ Contents of "${file.name}" would be extracted and processed individually.`);
     }
     
     clearAll() {
-        if (this.transcriptArea.value.trim() && 
-            !confirm('Are you sure you want to clear all content? This action cannot be undone.')) {
+        if (this.transcript.segments.length > 0 && 
+            !confirm('Clear the transcript and file queue? The current transcript stays available in History.')) {
             return;
         }
         
         // Stop any ongoing processes
         this.stopRecognition();
+        this.cancelAllProcessing();
+        this.closeAudioEditor();
         speechSynthesis.cancel();
         
-        // Clear data
-        this.transcriptArea.value = '';
+        // Clear data (the session is saved to history before it is closed)
+        this.startNewSession();
+        this.clearTranscript();
+        this.dictationUndo = [];
         this.uploadedFiles = [];
+        this.batchFiles.clear();
         this.processedFiles.clear();
         this.fileInput.value = '';
         
         // Reset UI
         this.updateFileList();
-        this.updateTranscriptStats('');
-        this.processBtn.disabled = true;
-        this.progressBar.style.display = 'none';
+        this.updateProcessingUI();
         this.clearMessages();
         
         // Clear local storage
         localStorage.removeItem('transcriptData');
         
-        this.showSuccess('All content cleared successfully.');
+        this.showSuccess('Cleared. The previous transcript is saved in History.');
     }
     
     // Utility methods
     removeFile(fileId) {
+        const fileData = this.uploadedFiles.find(file => file.id === fileId);
+        if (fileData) {
+            this.cancelFile(fileId);
+            const editorFile = this.audioEditor || this.audioEditorLoading;
+            if (editorFile && editorFile.fileId === fileId) {
+                this.closeAudioEditor();
+            }
+            this.removeChildFiles(fileData);
+            this.batchFiles.delete(fileData);
+        }
         this.uploadedFiles = this.uploadedFiles.filter(file => file.id !== fileId);
         this.processedFiles.delete(fileId);
         this.updateFileList();
+        this.updateProcessingUI();
+        
+        this.showSuccess('File removed from queue.');
+    }
+    
+    // Store the outcome of a processed file (or archive entry) for export
+    recordProcessedFile(fileData, content) {
+        this.processedFiles.set(fileData.id, {
+            name: fileData.path || fileData.name,
+            outputName: fileData.outputName || this.getArchiveOutputName(fileData.name),
+            size: fileData.file ? fileData.file.size : 0,
+            type: fileData.type,
+            isArchive: fileData.children.length > 0,
+            status: fileData.status,
+            error: fileData.error,
+            content: content,
+            segments: fileData.segments || null,
+            language: fileData.language || null,
+            timestamp: new Date()
+        });
+        
+        const entry = this.processedFiles.get(fileData.id);
+        if (!entry.isArchive && entry.status !== 'skipped') {
+            this.updateFileSegments(fileData, content);
+        }
+    }
+    
+    // Append " (2)", " (3)"... before the extension until the name is unused
+    getUniqueName(name, usedNames) {
+        let candidate = name;
+        const dotIndex = name.lastIndexOf('.');
+        const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+        const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
         
-        if (this.uploadedFiles.length === 0) {
-            this.processBtn.disabled = true;
+        for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+            candidate = `${base} (${counter})${extension}`;
         }
         
-        this.showSuccess('File removed from queue.');
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+    
+    // Drop the transcript segments of an archive's extracted entries, including nested archives
+    removeFileSegments(fileData) {
+        fileData.children.forEach(child => {
+            this.removeFileSegments(child);
+            this.transcript.segments = this.transcript.segments.filter(segment =>
+                !(segment.source.kind === 'file' && segment.source.id === child.id));
+        });
+    }
+    
+    // Forget the extracted entries of an archive, including nested archives
+    removeChildFiles(fileData) {
+        fileData.children.forEach(child => {
+            this.removeChildFiles(child);
+            this.processedFiles.delete(child.id);
+        });
+        fileData.children = [];
+    }
+    
+    // "1:02:03", or "2:03" under an hour
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
     }
     
     formatTimestamp(date) {
@@ -887,16 +5998,19 @@ Contents of "${file.name}" would be extracted and processed individually.`);
         // Clean up the transcript text
         let formatted = text.trim();
         
-        // Capitalize first letter of sentences
-        formatted = formatted.replace(/(?:^|\.\s+)([a-z])/g, (match, letter) => {
+        // Capitalize first letter of sentences and lines
+        formatted = formatted.replace(/(?:^|[.!?]\s+|\n\s*)([a-z])/g, (match, letter) => {
             return match.replace(letter, letter.toUpperCase());
         });
         
+        // Fix known mis-hearings from the custom vocabulary
+        formatted = this.applyVocabulary(formatted);
+        
         return formatted;
     }
     
-    formatFileResult(filename, content, isError = false) {
-        const timestamp = this.formatTimestamp(new Date());
+    formatFileResult(filename, content, isError = false, date = new Date()) {
+        const timestamp = this.formatTimestamp(date);
         const separator = '='.repeat(Math.max(50, filename.length + 10));
         
         return `${separator}
@@ -933,9 +6047,12 @@ ${content}`;
     getStatusDisplay(status) {
         const statusMap = {
             'pending': 'Pending',
+            'queued': 'Queued',
             'processing': 'Processing...',
             'completed': 'Complete',
-            'error': 'Error'
+            'error': 'Error',
+            'skipped': 'Skipped',
+            'cancelled': 'Cancelled'
         };
         return statusMap[status] || status;
     }
@@ -944,7 +6061,8 @@ ${content}`;
         this.progressFill.style.width = `${Math.min(100, Math.max(0, percent))}%`;
     }
     
-    updateTranscriptStats(text) {
+    updateTranscriptStats() {
+        const text = [this.getTranscriptPlainText(), this.interimText].filter(Boolean).join(' ');
         const words = text.trim() ? text.trim().split(/\s+/).length : 0;
         const characters = text.length;
         
@@ -956,6 +6074,12 @@ ${content}`;
         }
     }
     
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
@@ -973,13 +6097,49 @@ ${content}`;
             this.timestampFormat.value = this.settings.timestampFormat;
             this.confidenceThreshold.value = this.settings.confidenceThreshold;
             this.confidenceValue.textContent = this.settings.confidenceThreshold;
+            this.dropLowConfidenceInput.checked = this.settings.dropLowConfidence;
+            this.playbackRateSelect.value = String(this.settings.playbackRate);
             this.languageSelect.value = this.settings.language;
+            this.micEchoCancellationInput.checked = this.settings.micEchoCancellation;
+            this.micNoiseSuppressionInput.checked = this.settings.micNoiseSuppression;
+            this.micAutoGainControlInput.checked = this.settings.micAutoGainControl;
+            this.apiUrlInput.value = this.settings.apiUrl;
+            this.apiTimeoutInput.value = this.settings.apiTimeout;
+            this.apiRetriesInput.value = this.settings.apiRetries;
+            this.pdfPageMarkersInput.checked = this.settings.pdfPageMarkers;
+            this.docxOutputFormatSelect.value = this.settings.docxOutputFormat;
+            this.zipProcessingSelect.value = this.settings.zipProcessing;
+            this.processingConcurrencyInput.value = this.settings.processingConcurrency;
+            this.diarizationInput.checked = this.settings.diarization;
+            this.speakerCountInput.value = this.settings.speakerCount;
+            this.preprocessAudioInput.checked = this.settings.preprocessAudio;
+            this.noiseReductionInput.checked = this.settings.noiseReduction;
+            this.normalizeLoudnessInput.checked = this.settings.normalizeLoudness;
+            this.voiceCommandsInput.checked = this.settings.voiceCommands;
+            this.voiceCommandMappingsInput.value = this.settings.voiceCommandMappings;
+            this.vadSegmentationInput.checked = this.settings.vadSegmentation;
+            this.paragraphPauseInput.value = this.settings.paragraphPause;
+            this.autoStopSilenceInput.value = this.settings.autoStopSilence;
+            this.fileLanguageSelect.value = this.settings.fileLanguage;
+            this.translateToSelect.value = this.settings.translateTo;
+            this.audioEngineSelect.value = this.settings.audioEngine;
+            this.localModelSelect.value = this.settings.localModel;
+            this.localModelPathInput.value = this.settings.localModelPath;
+            this.captionMaxLineLengthInput.value = this.settings.captionMaxLineLength;
+            this.captionMaxCueDurationInput.value = this.settings.captionMaxCueDuration;
+            this.renderVocabularyList();
+            this.applyVocabularyToRecognition();
             
-            // Load saved transcript
+            // Load saved transcript and the session it belongs to
             const savedTranscript = localStorage.getItem('transcriptData');
             if (savedTranscript && this.settings.autoSave) {
-                this.transcriptArea.value = savedTranscript;
-                this.updateTranscriptStats(savedTranscript);
+                this.transcript = this.parseSavedTranscript(savedTranscript);
+                this.refreshTranscriptView();
+                
+                const savedSession = localStorage.getItem('currentSession');
+                if (savedSession) {
+                    this.currentSession = { recordingIds: [], ...JSON.parse(savedSession) };
+                }
             }
             
         } catch (error) {
@@ -995,14 +6155,31 @@ ${content}`;
         }
     }
     
-    saveToLocalStorage(text) {
+    saveToLocalStorage() {
         try {
-            localStorage.setItem('transcriptData', text);
+            localStorage.setItem('transcriptData', JSON.stringify({
+                version: 1,
+                segments: this.transcript.segments
+            }));
         } catch (error) {
             console.warn('Failed to save transcript:', error);
         }
     }
     
+    // Saved transcripts are JSON models; older versions stored the plain textarea string
+    parseSavedTranscript(savedTranscript) {
+        try {
+            const data = JSON.parse(savedTranscript);
+            if (data && Array.isArray(data.segments)) {
+                return { segments: data.segments };
+            }
+        } catch (error) {
+            // Not JSON: fall through to the legacy format
+        }
+        
+        return { segments: [this.createSegment({ text: savedTranscript })] };
+    }
+    
     // UI feedback methods
     showError(message) {
         this.clearMessages();
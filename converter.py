@@ -1,5 +1,9 @@
 import os
+import shutil
+import tempfile
 import zipfile
+import zlib
+import threading
 import warnings
 from pydub import AudioSegment
 import whisper
@@ -30,25 +34,177 @@ def convert_m4a_to_wav(audio_path, wav_path):
     except Exception as e:
         raise Exception(f"Failed to convert audio to wav: {e}")
 
-def transcribe_with_whisper(wav_path):
+# The model is loaded once and shared; the lock also keeps concurrent requests from
+# running inference on it at the same time
+_whisper_model = None
+_whisper_lock = threading.Lock()
+
+def get_whisper_model(name="base"):
+    global _whisper_model
+    if _whisper_model is None:
+        _whisper_model = whisper.load_model(name)
+    return _whisper_model
+
+# language=None lets Whisper detect it; task="translate" produces English text.
+# initial_prompt (e.g. a glossary of names and product terms) biases spelling.
+# Returns (text, segments, language) where language is the (detected) source language code.
+def transcribe_with_whisper(wav_path, language=None, task="transcribe", initial_prompt=None):
     try:
-        model = whisper.load_model("base")
-        result = model.transcribe(wav_path, fp16=False)
-        return result["text"]
+        with _whisper_lock:
+            model = get_whisper_model()
+            result = model.transcribe(wav_path, fp16=False, language=language, task=task, initial_prompt=initial_prompt)
+        segments = [
+            {"start": round(segment["start"], 3), "end": round(segment["end"], 3), "text": segment["text"].strip()}
+            for segment in result.get("segments", [])
+        ]
+        return result["text"].strip(), segments, result.get("language") or language
     except Exception as e:
-        raise Exception(f"Whisper transcription failed: {e}")
+        raise Exception(f"Whisper {task} failed: {e}")
+
+# Speaker diarization: each Whisper segment gets an MFCC voice print and the prints are
+# grouped by agglomerative clustering. The MFCC frames are standardized over the whole
+# recording first (zero mean and unit variance per coefficient), so every coefficient counts
+# the same and what the whole recording shares (microphone, room) cancels out. A voice print
+# is the mean of a segment's standardized frames, and prints are compared by their RMS
+# difference per coefficient, in standard deviations of the recording's own frames.
+# Clusters are merged while that difference is below DIARIZATION_THRESHOLD (or until
+# num_speakers remain, when the caller knows it).
+#
+# How the threshold was chosen: it is a starting value derived from the units, not fitted to
+# labelled recordings. A MIN_EMBEDDING_SECONDS clip holds about 12 frames, so two prints of the
+# same voice differ by about 0.4 from sampling noise alone (sqrt(2 / 12) for independent
+# frames), and the noise shrinks as clusters grow. 0.5 sits just above that, so voices whose
+# average timbre differs by half a frame standard deviation or more are kept apart. Raise it
+# if one voice gets split, lower it if voices merge.
+DIARIZATION_THRESHOLD = 0.5
+DIARIZATION_SAMPLE_RATE = 16000
+DIARIZATION_HOP_LENGTH = 512
+MIN_EMBEDDING_SECONDS = 0.4
+
+def get_standardized_mfcc(y, sr):
+    mfcc = librosa.feature.mfcc(y=y, sr=sr, n_mfcc=20, hop_length=DIARIZATION_HOP_LENGTH)[1:]  # drop c0, which is mostly loudness
+    return (mfcc - mfcc.mean(axis=1, keepdims=True)) / (mfcc.std(axis=1, keepdims=True) + 1e-9)
+
+def get_speaker_embedding(frames, start, end, sr):
+    first = int(start * sr / DIARIZATION_HOP_LENGTH)
+    last = max(first + 1, int(end * sr / DIARIZATION_HOP_LENGTH))
+    return frames[:, first:last].mean(axis=1)
+
+def cluster_embeddings(embeddings, num_speakers=None, threshold=DIARIZATION_THRESHOLD):
+    # Average linkage on centroids; returns a cluster index per embedding
+    clusters = [[i] for i in range(len(embeddings))]
+    centroids = [embeddings[i] for i in range(len(embeddings))]
+    target = max(1, num_speakers or 1)
+
+    while len(clusters) > target:
+        matrix = np.array(centroids)
+        # RMS difference per coefficient between every pair of centroids
+        squared = (matrix ** 2).sum(axis=1)
+        distances = np.sqrt(np.maximum(squared[:, None] + squared[None, :] - 2 * matrix @ matrix.T, 0) / matrix.shape[1])
+        np.fill_diagonal(distances, np.inf)
+        a, b = np.unravel_index(np.argmin(distances), distances.shape)
+        if not num_speakers and distances[a, b] > threshold:
+            break
+        a, b = min(a, b), max(a, b)
+        clusters[a] += clusters.pop(b)
+        centroids.pop(b)
+        centroids[a] = embeddings[clusters[a]].mean(axis=0)
+
+    labels = np.zeros(len(embeddings), dtype=int)
+    for index, members in enumerate(clusters):
+        labels[members] = index
+    return labels
+
+# Tag segments with "Speaker N" (numbered in order of first appearance). Segments too short
+# for a reliable voice print take the speaker of the segment before them.
+def diarize_segments(wav_path, segments, num_speakers=None):
+    if not segments:
+        return segments
+    y, sr = librosa.load(wav_path, sr=DIARIZATION_SAMPLE_RATE, mono=True)
+    frames = get_standardized_mfcc(y, sr)
+    embedded, embeddings = [], []
+    for index, segment in enumerate(segments):
+        samples = min(int(segment["end"] * sr), len(y)) - int(segment["start"] * sr)
+        if samples >= MIN_EMBEDDING_SECONDS * sr:
+            embedded.append(index)
+            embeddings.append(get_speaker_embedding(frames, segment["start"], segment["end"], sr))
+
+    clusters = {}
+    if len(embeddings) > 1:
+        clusters = dict(zip(embedded, cluster_embeddings(np.array(embeddings), num_speakers)))
+
+    names = {}
+    previous = None
+    for index, segment in enumerate(segments):
+        cluster = clusters.get(index, previous if previous is not None else 0)
+        if cluster not in names:
+            names[cluster] = f"Speaker {len(names) + 1}"
+        segment["speaker"] = names[cluster]
+        previous = cluster
+    return segments
+
+# Give each translated segment the speaker of the original segment it overlaps most
+def copy_speakers(segments, translated_segments):
+    for translated in translated_segments:
+        best = max(segments, key=lambda segment: min(segment["end"], translated["end"]) - max(segment["start"], translated["start"]), default=None)
+        translated["speaker"] = best["speaker"] if best else None
+    return translated_segments
+
+# Transcript text with one "Speaker N: ..." paragraph per speaker turn
+def format_speaker_turns(segments):
+    turns = []
+    for segment in segments:
+        if turns and turns[-1][0] == segment["speaker"]:
+            turns[-1][1].append(segment["text"])
+        else:
+            turns.append((segment["speaker"], [segment["text"]]))
+    return "\n\n".join(f"{speaker}: {' '.join(texts)}" for speaker, texts in turns)
 
 def transcribe_audio(audio_path, output_text_file):
+    return transcribe_audio_with_segments(audio_path, output_text_file)["text"]
+
+def transcribe_audio_with_segments(audio_path, output_text_file):
+    try:
+        return transcribe_audio_file(audio_path, output_text_file)
+    except Exception as e:
+        return {"text": f"Error transcribing {audio_path}: {e}", "segments": []}
+
+# Like transcribe_audio_with_segments, but raises on failure and reports progress
+# as on_progress(fraction, stage) between pipeline steps. With diarize, segments carry a
+# "speaker" and the text is split into speaker turns when more than one speaker is found.
+# The result includes the source language; with translate, non-English audio also gets an
+# English "translation" ({language, text, segments}) next to the original text.
+# denoise=False skips noise reduction for audio the browser has already cleaned up.
+def transcribe_audio_file(audio_path, output_text_file, on_progress=None, diarize=False, num_speakers=None,
+                          language=None, translate=False, initial_prompt=None, denoise=True):
+    report = on_progress or (lambda fraction, stage: None)
     wav_path = audio_path.rsplit(".", 1)[0] + "_temp.wav"
     processed_wav_path = audio_path.rsplit(".", 1)[0] + "_processed.wav"
     try:
+        report(0.1, "converting")
         convert_m4a_to_wav(audio_path, wav_path)
-        reduce_noise(wav_path, processed_wav_path)
-        text = transcribe_with_whisper(processed_wav_path if os.path.exists(processed_wav_path) else wav_path)
+        if denoise:
+            report(0.2, "reducing noise")
+            reduce_noise(wav_path, processed_wav_path)
+        report(0.3, "transcribing")
+        source_path = processed_wav_path if os.path.exists(processed_wav_path) else wav_path
+        text, segments, detected_language = transcribe_with_whisper(source_path, language, initial_prompt=initial_prompt)
+        translation = None
+        if translate and detected_language != "en":
+            report(0.6, "translating")
+            translated_text, translated_segments, _ = transcribe_with_whisper(source_path, detected_language, "translate", initial_prompt)
+            translation = {"language": "en", "text": translated_text, "segments": translated_segments}
+        if diarize:
+            report(0.9, "identifying speakers")
+            diarize_segments(source_path, segments, num_speakers)
+            if len({segment["speaker"] for segment in segments}) > 1:
+                text = format_speaker_turns(segments)
+                if translation:
+                    copy_speakers(segments, translation["segments"])
+                    translation["text"] = format_speaker_turns(translation["segments"])
         write_to_text_file(text, output_text_file)
-        return text
-    except Exception as e:
-        return f"Error transcribing {audio_path}: {e}"
+        report(1.0, "done")
+        return {"text": text, "segments": segments, "language": detected_language, "translation": translation}
     finally:
         for path in [wav_path, processed_wav_path]:
             if os.path.exists(path):
@@ -93,48 +249,146 @@ def extract_text_from_txt(txt_path):
     except Exception as e:
         return f"Error reading {txt_path}: {e}"
 
-def process_zip_file(zip_path, output_dir="extracted_texts_output"):
-    if not os.path.exists(zip_path):
-        return
-    os.makedirs(output_dir, exist_ok=True)
-    temp_dir = "temp_extracted"
-    os.makedirs(temp_dir, exist_ok=True)
+AUDIO_EXTENSIONS = ["m4a", "mp3", "mp4", "wav", "webm", "ogg"]
+
+# Archive limits, the same as ZIP_LIMITS in the browser (app.js). Entries are inflated in
+# chunks and counted as they go, because the sizes declared in the archive can lie.
+ZIP_MAX_ENTRIES = 1000
+ZIP_MAX_ENTRY_SIZE = 200 * 1024 * 1024
+ZIP_MAX_TOTAL_SIZE = 500 * 1024 * 1024
+ZIP_MAX_COMPRESSION_RATIO = 100
+ZIP_CHUNK_SIZE = 1024 * 1024
+
+# Inflate one entry to target_path; returns the bytes written, or None (and removes the
+# partial file) as soon as more than max_bytes come out
+def extract_zip_entry(zip_ref, info, target_path, max_bytes):
+    written = 0
+    os.makedirs(os.path.dirname(target_path), exist_ok=True)
+    with zip_ref.open(info) as source, open(target_path, "wb") as target:
+        while True:
+            chunk = source.read(ZIP_CHUNK_SIZE)
+            if not chunk:
+                return written
+            written += len(chunk)
+            if written > max_bytes:
+                break
+            target.write(chunk)
+    os.remove(target_path)
+    return None
+
+def make_zip_entry(path, error=None, skipped=False):
+    file_ext = path.lower().rsplit(".", 1)[-1] if "." in path else ""
+    return {"path": path, "type": file_ext, "text": None, "error": error, "skipped": skipped}
+
+# Extract an archive into temp_dir within the limits above. Returns the relative paths that
+# were extracted and the entries that were not, each with the reason.
+def extract_zip_safely(zip_path, temp_dir):
+    extracted, rejected = [], []
+    ratio_limit = os.path.getsize(zip_path) * ZIP_MAX_COMPRESSION_RATIO
+    total_limit = min(ZIP_MAX_TOTAL_SIZE, ratio_limit)
+    total = 0
+    limit_reached = False
+    seen = set()
     try:
         with zipfile.ZipFile(zip_path, "r") as zip_ref:
-            zip_ref.testzip()
-            zip_ref.extractall(temp_dir)
+            infos = sorted((info for info in zip_ref.infolist() if not info.is_dir()), key=lambda info: info.filename)
+            if len(infos) > ZIP_MAX_ENTRIES:
+                raise ValueError(f"Archive contains {len(infos)} files; at most {ZIP_MAX_ENTRIES} are processed.")
+
+            for info in infos:
+                path = info.filename.replace("\\", "/")
+                parts = [part for part in path.split("/") if part and part != "."]
+                if path.startswith("/") or (len(path) > 1 and path[1] == ":") or ".." in parts:
+                    rejected.append(make_zip_entry(path, "Unsafe path outside the archive.", skipped=True))
+                    continue
+                rel_path = "/".join(parts)
+                # Names that normalize to the same file (a//b.txt, ./a/b.txt, A/B.TXT on some systems) would overwrite each other
+                if rel_path.lower() in seen:
+                    rejected.append(make_zip_entry(path, f"Duplicate of {rel_path} in the archive; only the first copy is processed.", skipped=True))
+                    continue
+                seen.add(rel_path.lower())
+                if limit_reached:
+                    rejected.append(make_zip_entry(rel_path, "Not extracted: archive size limit reached.", skipped=True))
+                    continue
+
+                remaining = total_limit - total
+                target_path = os.path.join(temp_dir, *parts)
+                try:
+                    written = extract_zip_entry(zip_ref, info, target_path, min(ZIP_MAX_ENTRY_SIZE, remaining))
+                except (zipfile.BadZipFile, zlib.error, EOFError) as e:
+                    # A bad CRC, a broken deflate stream or a truncated member only loses this entry
+                    if os.path.exists(target_path):
+                        os.remove(target_path)
+                    rejected.append(make_zip_entry(rel_path, f"Archive entry is corrupted: {e}"))
+                    continue
+
+                if written is None and remaining <= ZIP_MAX_ENTRY_SIZE:
+                    limit_reached = True
+                    reason = ("Suspicious compression ratio (possible zip bomb)" if ratio_limit < ZIP_MAX_TOTAL_SIZE
+                              else "Archive expands beyond the allowed size limit")
+                    rejected.append(make_zip_entry(rel_path, f"{reason}; remaining entries were not extracted."))
+                elif written is None:
+                    rejected.append(make_zip_entry(rel_path, f"Larger than {ZIP_MAX_ENTRY_SIZE // (1024 * 1024)} MB when extracted.", skipped=True))
+                else:
+                    total += written
+                    extracted.append(rel_path)
     except zipfile.BadZipFile as e:
-        return
-    except Exception as e:
-        return
-    for root, _, files in os.walk(temp_dir):
-        for file in files:
-            file_path = os.path.join(root, file)
-            file_ext = file.lower().split(".")[-1]
-            rel_path = os.path.relpath(file_path, temp_dir).replace(os.sep, "_")
-            output_file = os.path.join(output_dir, f"{os.path.splitext(rel_path)[0]}.txt")
+        raise ValueError(f"This file is not a valid ZIP archive: {e}")
+    return extracted, rejected
+
+# Process every file in an archive and return one result per entry:
+# {path, type, text, error, skipped, segments?, language?, translation?}. Raises ValueError for an invalid archive.
+# options are passed to transcribe_audio_file for audio entries.
+def process_zip_entries(zip_path, on_progress=None, options=None):
+    report = on_progress or (lambda fraction, stage: None)
+    temp_dir = tempfile.mkdtemp(prefix="zip_")
+    try:
+        paths, entries = extract_zip_safely(zip_path, temp_dir)
+
+        for index, rel_path in enumerate(paths):
+            file_path = os.path.join(temp_dir, *rel_path.split("/"))
+            entry = make_zip_entry(rel_path)
+            file_ext = entry["type"]
+            report(index / max(len(paths), 1), f"processing {rel_path}")
             try:
-                if file_ext in ["m4a", "mp3", "wav"]:
-                    text = transcribe_audio(file_path, output_file)
+                if file_ext in AUDIO_EXTENSIONS:
+                    transcription = transcribe_audio_file(file_path, file_path + ".txt", **(options or {}))
+                    entry["text"] = transcription["text"]
+                    entry["segments"] = transcription["segments"]
+                    entry["language"] = transcription["language"]
+                    entry["translation"] = transcription["translation"]
                 elif file_ext == "txt":
-                    text = extract_text_from_txt(file_path)
-                    write_to_text_file(text, output_file)
+                    entry["text"] = extract_text_from_txt(file_path)
                 elif file_ext == "docx":
-                    text = extract_text_from_docx(file_path)
-                    write_to_text_file(text, output_file)
+                    entry["text"] = extract_text_from_docx(file_path)
                 elif file_ext == "pdf":
-                    text = extract_text_from_pdf(file_path)
-                    write_to_text_file(text, output_file)
+                    entry["text"] = extract_text_from_pdf(file_path)
                 else:
-                    continue
+                    entry["skipped"] = True
+                    entry["error"] = "Unsupported file type."
             except Exception as e:
-                write_to_text_file(f"Error processing {file}: {e}", output_file)
-    try:
-        for root, dirs, files in os.walk(temp_dir, topdown=False):
-            for file in files:
-                os.remove(os.path.join(root, file))
-            for dir in dirs:
-                os.rmdir(os.path.join(root, dir))
-        os.rmdir(temp_dir)
-    except Exception as e:
-        pass
+                entry["error"] = str(e)
+            entries.append(entry)
+        entries.sort(key=lambda entry: entry["path"])
+        report(1.0, "done")
+        return entries
+    finally:
+        shutil.rmtree(temp_dir, ignore_errors=True)
+
+def get_zip_output_name(path):
+    return f"{os.path.splitext(path.replace('/', '_'))[0]}.txt"
+
+def process_zip_file(zip_path, output_dir="extracted_texts_output"):
+    if not os.path.exists(zip_path):
+        return []
+    os.makedirs(output_dir, exist_ok=True)
+    entries = process_zip_entries(zip_path)
+    for entry in entries:
+        if entry["skipped"]:
+            continue
+        output_file = os.path.join(output_dir, get_zip_output_name(entry["path"]))
+        if entry["error"]:
+            write_to_text_file(f"Error processing {entry['path']}: {entry['error']}", output_file)
+        else:
+            write_to_text_file(entry["text"], output_file)
+    return entries
@@ -0,0 +1,390 @@
+/**
+ * File processing tasks shared by the main thread and worker.js.
+ *
+ * Each task takes a payload, an onProgress(fraction) callback and an optional AbortSignal
+ * (only used on the main thread; workers are cancelled by terminating them) and resolves
+ * to a plain result. ArrayBuffers found in a worker's result are transferred, not copied.
+ */
+
+// DOCX parts read by AudioTranscriptionHub.processDocxFile
+const DOCX_PART_PATTERN = /^word\/(document|styles|numbering|footnotes|endnotes|header\d*|footer\d*)\.xml$/;
+
+const ProcessingTasks = {
+    // Extract the text of every PDF page with pdf.js
+    async extractPdfText({ buffer }, onProgress, signal = null) {
+        const pdf = await pdfjsLib.getDocument({ data: buffer, disableFontFace: true }).promise;
+        
+        try {
+            const pages = [];
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                if (signal) signal.throwIfAborted();
+                const page = await pdf.getPage(pageNumber);
+                const textContent = await page.getTextContent();
+                pages.push(pdfTextContentToString(textContent).trim());
+                page.cleanup();
+                onProgress(pageNumber / pdf.numPages);
+            }
+            return { numPages: pdf.numPages, pages: pages };
+        } finally {
+            pdf.destroy();
+        }
+    },
+    
+    // Unzip a DOCX package and return its WordprocessingML parts as strings; the XML is
+    // parsed on the main thread because workers have no DOMParser
+    async readDocxParts({ buffer }, onProgress, signal = null) {
+        const zip = await JSZip.loadAsync(buffer);
+        const names = Object.keys(zip.files).filter(name => DOCX_PART_PATTERN.test(name));
+        const parts = {};
+        
+        for (let i = 0; i < names.length; i++) {
+            if (signal) signal.throwIfAborted();
+            parts[names[i]] = await zip.file(names[i]).async('string');
+            onProgress((i + 1) / names.length);
+        }
+        
+        return { parts: parts };
+    },
+    
+    // Inflate the named archive entries as streams, counting bytes as they arrive. An entry
+    // larger than maxEntrySize is dropped as soon as it crosses the limit; once the archive
+    // as a whole expands past maxTotalSize or maxCompressionRatio times its own size, the
+    // remaining entries are left out.
+    async unzipEntries({ buffer, names, maxEntrySize, maxTotalSize, maxCompressionRatio }, onProgress, signal = null) {
+        const zip = await JSZip.loadAsync(buffer);
+        const ratioLimit = buffer.byteLength * maxCompressionRatio;
+        const entries = [];
+        let extractedBytes = 0;
+        let limitReached = false;
+        
+        for (let i = 0; i < names.length; i++) {
+            if (signal) signal.throwIfAborted();
+            
+            if (limitReached) {
+                entries.push({ name: names[i], data: null, notExtracted: true });
+            } else {
+                const remaining = Math.min(maxTotalSize, ratioLimit) - extractedBytes;
+                const { data, bytes } = await inflateZipEntry(zip.file(names[i]), Math.min(maxEntrySize, remaining), signal);
+                
+                if (!data && remaining <= maxEntrySize) {
+                    limitReached = true;
+                    const limit = ratioLimit < maxTotalSize ? 'ratio' : 'size';
+                    entries.push({ name: names[i], data: null, limitExceeded: limit });
+                } else if (!data) {
+                    entries.push({ name: names[i], data: null, tooLarge: true });
+                } else {
+                    extractedBytes += bytes;
+                    entries.push({ name: names[i], data: data.buffer });
+                }
+            }
+            // Rejected and left-out entries count as done too, so progress keeps moving
+            onProgress((i + 1) / names.length);
+        }
+        
+        return { entries: entries };
+    },
+    
+    // Interleave Float32 channel data into a RIFF/WAVE file with 16-bit samples
+    async encodeWav({ channels, sampleRate }, onProgress) {
+        const channelCount = channels.length;
+        const frameCount = channels[0].length;
+        const dataSize = frameCount * channelCount * 2;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channelCount * 2, true);
+        view.setUint16(32, channelCount * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const progressStep = Math.max(1, Math.floor(frameCount / 10));
+        let offset = 44;
+        for (let frame = 0; frame < frameCount; frame++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+            if ((frame + 1) % progressStep === 0) {
+                onProgress((frame + 1) / frameCount);
+            }
+        }
+        
+        return { buffer: buffer };
+    },
+    
+    // Clean up 16 kHz mono speech before transcription: spectral noise reduction, then loudness
+    // normalization. The samples are modified in place and returned.
+    async cleanSpeechAudio({ samples, sampleRate, noiseReduction, normalizeLoudness }, onProgress, signal = null) {
+        if (noiseReduction) {
+            reduceSpectralNoise(samples, (fraction) => {
+                if (signal) signal.throwIfAborted();
+                onProgress(normalizeLoudness ? fraction * 0.9 : fraction);
+            });
+        }
+        if (normalizeLoudness) {
+            normalizeSpeechLoudness(samples, sampleRate);
+        }
+        onProgress(1);
+        return { samples: samples };
+    }
+};
+
+// Noise reduction and loudness settings for cleanSpeechAudio. Frames are 32 ms at 16 kHz.
+const SPEECH_CLEANUP = {
+    frameSize: 512,
+    noisePercentile: 0.1,     // quietest share of frames used as the noise profile
+    overSubtraction: 2,       // how far above the noise profile a bin must be to pass untouched
+    minGain: 0.1,             // -20 dB: noise is attenuated, not removed, to avoid "musical" artifacts
+    gainSmoothing: 0.6,       // weight of the previous frame's gain
+    targetLevel: 0.1,         // -20 dBFS gated RMS
+    maxGain: 10,              // +20 dB at most, so near-silent files don't turn into hiss
+    peakLimit: 0.89,          // -1 dBFS
+    blockSeconds: 0.4,
+    relativeGate: 0.1         // blocks 10 dB below the mean are left out of the level, as in EBU R128
+};
+
+// In-place radix-2 FFT; the length must be a power of two
+function fft(real, imag, inverse = false) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+    
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wReal = 1;
+            let wImag = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tReal = real[b] * wReal - imag[b] * wImag;
+                const tImag = real[b] * wImag + imag[b] * wReal;
+                real[b] = real[a] - tReal;
+                imag[b] = imag[a] - tImag;
+                real[a] += tReal;
+                imag[a] += tImag;
+                [wReal, wImag] = [wReal * stepReal - wImag * stepImag, wReal * stepImag + wImag * stepReal];
+            }
+        }
+    }
+    
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            real[i] /= n;
+            imag[i] /= n;
+        }
+    }
+}
+
+// Spectral gating: the noise spectrum is estimated from the quietest frames and every frequency
+// bin is attenuated by how close it is to that floor. Square-root Hann windows at 50% overlap
+// reconstruct the signal exactly where no bin is attenuated.
+function reduceSpectralNoise(samples, onProgress) {
+    const { frameSize, noisePercentile, overSubtraction, minGain, gainSmoothing } = SPEECH_CLEANUP;
+    const hop = frameSize / 2;
+    const bins = frameSize / 2 + 1;
+    const frameCount = Math.ceil(samples.length / hop) + 1;
+    if (samples.length < frameSize) return;
+    
+    const window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+        window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize));
+    }
+    
+    const real = new Float64Array(frameSize);
+    const imag = new Float64Array(frameSize);
+    const loadFrame = (frame) => {
+        const offset = frame * hop - hop;
+        for (let i = 0; i < frameSize; i++) {
+            const index = offset + i;
+            real[i] = index >= 0 && index < samples.length ? samples[index] * window[i] : 0;
+            imag[i] = 0;
+        }
+        fft(real, imag);
+    };
+    
+    // Find the quietest frames by their energy, then average their spectra into the noise profile.
+    // Spectra are recomputed rather than stored, which would take gigabytes for long recordings.
+    const energies = new Float32Array(frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+        const offset = frame * hop - hop;
+        let energy = 0;
+        for (let i = Math.max(0, -offset); i < frameSize && offset + i < samples.length; i++) {
+            energy += samples[offset + i] * samples[offset + i];
+        }
+        energies[frame] = energy;
+    }
+    
+    const quiet = [...energies.keys()].sort((a, b) => energies[a] - energies[b])
+        .slice(0, Math.max(1, Math.floor(frameCount * noisePercentile)));
+    const noise = new Float32Array(bins);
+    quiet.forEach((frame, index) => {
+        loadFrame(frame);
+        for (let bin = 0; bin < bins; bin++) {
+            noise[bin] += (real[bin] * real[bin] + imag[bin] * imag[bin]) / quiet.length;
+        }
+        if (index % 256 === 0) onProgress(0.1 * index / quiet.length);
+    });
+    
+    // Apply smoothed per-bin gains and overlap-add the result
+    const output = new Float32Array(samples.length);
+    const gains = new Float32Array(bins).fill(1);
+    for (let frame = 0; frame < frameCount; frame++) {
+        loadFrame(frame);
+        for (let bin = 0; bin < bins; bin++) {
+            const power = real[bin] * real[bin] + imag[bin] * imag[bin];
+            const target = power > 0 ? Math.max(minGain, Math.sqrt(Math.max(0, 1 - overSubtraction * noise[bin] / power))) : minGain;
+            gains[bin] = gainSmoothing * gains[bin] + (1 - gainSmoothing) * target;
+            real[bin] *= gains[bin];
+            imag[bin] *= gains[bin];
+            if (bin > 0 && bin < bins - 1) {
+                real[frameSize - bin] = real[bin];
+                imag[frameSize - bin] = -imag[bin];
+            }
+        }
+        fft(real, imag, true);
+        
+        const offset = frame * hop - hop;
+        for (let i = 0; i < frameSize; i++) {
+            const index = offset + i;
+            if (index >= 0 && index < samples.length) {
+                output[index] += real[i] * window[i];
+            }
+        }
+        if (frame % 256 === 0) onProgress(0.1 + 0.9 * frame / frameCount);
+    }
+    
+    samples.set(output);
+}
+
+// Bring speech to SPEECH_CLEANUP.targetLevel, measured over 400 ms blocks with quiet blocks gated
+// out (no K-weighting), without letting peaks exceed peakLimit
+function normalizeSpeechLoudness(samples, sampleRate) {
+    const { targetLevel, maxGain, peakLimit, blockSeconds, relativeGate } = SPEECH_CLEANUP;
+    const blockSize = Math.max(1, Math.round(blockSeconds * sampleRate));
+    
+    const blocks = [];
+    let peak = 0;
+    for (let offset = 0; offset < samples.length; offset += blockSize) {
+        const end = Math.min(samples.length, offset + blockSize);
+        let sum = 0;
+        for (let i = offset; i < end; i++) {
+            sum += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        blocks.push(sum / (end - offset));
+    }
+    
+    const audible = blocks.filter(power => power > 1e-7); // -70 dBFS absolute gate
+    if (audible.length === 0 || peak === 0) return;
+    const mean = audible.reduce((total, power) => total + power, 0) / audible.length;
+    const gated = audible.filter(power => power >= mean * relativeGate);
+    const level = Math.sqrt(gated.reduce((total, power) => total + power, 0) / gated.length);
+    
+    const gain = Math.min(targetLevel / level, maxGain, peakLimit / peak);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+    }
+}
+
+// Inflate one JSZip entry through its internal stream, stopping as soon as more than
+// maxBytes have come out. Resolves to { data, bytes }; data is null when the limit was hit.
+function inflateZipEntry(file, maxBytes, signal = null) {
+    return new Promise((resolve, reject) => {
+        // An abort listener never fires for a signal that is already aborted
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const chunks = [];
+        let bytes = 0;
+        const stream = file.internalStream('uint8array');
+        
+        const onAbort = () => {
+            stream.pause();
+            reject(signal.reason);
+        };
+        const finish = (result) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        };
+        
+        stream.on('data', (chunk) => {
+            bytes += chunk.byteLength;
+            if (bytes > maxBytes) {
+                stream.pause();
+                chunks.length = 0;
+                finish({ data: null, bytes: bytes });
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', (error) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+        stream.on('end', () => {
+            // Chunks can be views into the archive buffer, so always copy into a buffer the entry owns
+            const data = new Uint8Array(bytes);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                data.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            finish({ data: data, bytes: bytes });
+        });
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        stream.resume();
+    });
+}
+
+// Join pdf.js text items into lines, breaking where the text moves to a new baseline
+function pdfTextContentToString(textContent) {
+    let text = '';
+    let lastY = null;
+    
+    textContent.items.forEach(item => {
+        if (typeof item.str !== 'string') return; // marked-content markers carry no text
+        
+        const y = item.transform[5];
+        if (lastY !== null && Math.abs(y - lastY) > 1 && !text.endsWith('\n')) {
+            text += '\n';
+        }
+        text += item.str;
+        if (item.hasEOL) {
+            text += '\n';
+        }
+        lastY = y;
+    });
+    
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+}
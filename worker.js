@@ -0,0 +1,42 @@
+/**
+ * Audio Transcription Hub - Processing Worker
+ * Runs ProcessingTasks (processing.js) off the main thread for AudioTranscriptionHub.runProcessingTask
+ */
+
+// Same library versions as index.html. Loading pdf.worker.js here lets pdf.js parse inside
+// this worker instead of spawning a nested one.
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'processing.js'
+);
+
+// Collect every ArrayBuffer in a result so it can be transferred instead of copied
+function collectTransferables(value, found = new Set()) {
+    if (value instanceof ArrayBuffer) {
+        found.add(value);
+    } else if (ArrayBuffer.isView(value)) {
+        found.add(value.buffer);
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectTransferables(item, found));
+    }
+    return [...found];
+}
+
+self.onmessage = async (event) => {
+    const { id, task, payload } = event.data || {};
+    if (!id || !ProcessingTasks[task]) return; // pdf.js uses this port for its own messages too
+    
+    try {
+        const result = await ProcessingTasks[task](payload, (fraction) => {
+            self.postMessage({ id, type: 'progress', fraction });
+        });
+        self.postMessage({ id, type: 'result', result }, collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+    }
+};
+
+// Tells the main thread the libraries loaded and tasks can be sent
+self.postMessage({ type: 'ready' });